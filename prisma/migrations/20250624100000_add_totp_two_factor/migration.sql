@@ -0,0 +1,8 @@
+-- CreateEnum
+CREATE TYPE "TwoFactorMethod" AS ENUM ('EMAIL', 'TOTP');
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "recoveryCodes" TEXT[],
+ADD COLUMN     "totpLastCounter" INTEGER,
+ADD COLUMN     "totpSecret" TEXT,
+ADD COLUMN     "twoFactorMethod" "TwoFactorMethod" NOT NULL DEFAULT 'EMAIL';
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "failedLoginAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "lastFailedLoginAt" TIMESTAMP(3),
+ADD COLUMN     "lockedUntil" TIMESTAMP(3),
+ADD COLUMN     "otpAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "unlockToken" TEXT;
@@ -0,0 +1,20 @@
+-- Store only hashes of one-time codes and password reset tokens.
+
+-- Reset tokens: hash in place so links already sent by email keep working
+-- until they expire (the app hashes with plain SHA-256 hex, same as here).
+ALTER TABLE "User" RENAME COLUMN "resetToken" TO "resetTokenHash";
+
+UPDATE "User"
+SET "resetTokenHash" = encode(sha256(convert_to("resetTokenHash", 'UTF8')), 'hex')
+WHERE "resetTokenHash" IS NOT NULL;
+
+-- OTPs: hashed with a server-side secret the database can't compute, so
+-- in-flight codes (valid for 10 minutes) are dropped and must be re-requested.
+ALTER TABLE "User" RENAME COLUMN "otp" TO "otpHash";
+
+UPDATE "User"
+SET "otpHash" = NULL, "otpExpiry" = NULL
+WHERE "otpHash" IS NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_resetTokenHash_key" ON "User"("resetTokenHash");
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "emailVerificationExpiry" TIMESTAMP(3),
+ADD COLUMN     "emailVerificationTokenHash" TEXT,
+ADD COLUMN     "emailVerified" BOOLEAN NOT NULL DEFAULT false;
+
+-- Accounts created before verification existed are treated as verified
+UPDATE "User" SET "emailVerified" = true;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_emailVerificationTokenHash_key" ON "User"("emailVerificationTokenHash");
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "pendingEmail" TEXT,
+ADD COLUMN     "pendingEmailExpiry" TIMESTAMP(3),
+ADD COLUMN     "pendingEmailTokenHash" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_pendingEmailTokenHash_key" ON "User"("pendingEmailTokenHash");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "magicLinkExpiry" TIMESTAMP(3),
+ADD COLUMN     "magicLinkTokenHash" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_magicLinkTokenHash_key" ON "User"("magicLinkTokenHash");
@@ -0,0 +1,17 @@
+-- CreateFunction
+-- array_to_string is only STABLE, but generated columns need IMMUTABLE
+-- expressions; joining a text[] doesn't depend on any settings, so wrap it.
+CREATE FUNCTION "product_features_text"(features TEXT[]) RETURNS TEXT
+    LANGUAGE sql IMMUTABLE PARALLEL SAFE
+    AS $$ SELECT array_to_string(features, ' ') $$;
+
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "searchVector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce("name", '')), 'A') ||
+    setweight(to_tsvector('english', coalesce("brand", '')), 'B') ||
+    setweight(to_tsvector('english', coalesce("product_features_text"("features"), '')), 'C') ||
+    setweight(to_tsvector('english', coalesce("description", '')), 'D')
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "Product_searchVector_idx" ON "Product" USING GIN ("searchVector");
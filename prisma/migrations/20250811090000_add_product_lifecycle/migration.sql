@@ -0,0 +1,13 @@
+-- CreateEnum
+CREATE TYPE "ProductStatus" AS ENUM ('DRAFT', 'PUBLISHED', 'ARCHIVED');
+
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "publishAt" TIMESTAMP(3),
+ADD COLUMN     "status" "ProductStatus" NOT NULL DEFAULT 'DRAFT',
+ADD COLUMN     "unpublishAt" TIMESTAMP(3);
+
+-- Products that already exist are live, so keep them that way
+UPDATE "Product" SET "status" = 'PUBLISHED';
+
+-- CreateIndex
+CREATE INDEX "Product_status_publishAt_idx" ON "Product"("status", "publishAt");
@@ -0,0 +1,52 @@
+-- CreateTable
+CREATE TABLE "ProductPriceHistory" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "price" DOUBLE PRECISION NOT NULL,
+    "discount" DOUBLE PRECISION,
+    "effectivePrice" DOUBLE PRECISION NOT NULL,
+    "source" TEXT NOT NULL,
+    "changedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ProductPriceHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ProductPriceSchedule" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "price" DOUBLE PRECISION,
+    "discount" DOUBLE PRECISION,
+    "startsAt" TIMESTAMP(3) NOT NULL,
+    "endsAt" TIMESTAMP(3),
+    "previousPrice" DOUBLE PRECISION,
+    "previousDiscount" DOUBLE PRECISION,
+    "appliedAt" TIMESTAMP(3),
+    "endedAt" TIMESTAMP(3),
+    "createdById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ProductPriceSchedule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ProductPriceHistory_productId_createdAt_idx" ON "ProductPriceHistory"("productId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "ProductPriceSchedule_productId_idx" ON "ProductPriceSchedule"("productId");
+
+-- CreateIndex
+CREATE INDEX "ProductPriceSchedule_startsAt_idx" ON "ProductPriceSchedule"("startsAt");
+
+-- AddForeignKey
+ALTER TABLE "ProductPriceHistory" ADD CONSTRAINT "ProductPriceHistory_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ProductPriceSchedule" ADD CONSTRAINT "ProductPriceSchedule_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Start every product's history at its current price (discounts are percentages)
+INSERT INTO "ProductPriceHistory" ("id", "productId", "price", "discount", "effectivePrice", "source")
+SELECT gen_random_uuid()::text, "id", "price", "discount", ROUND(("price" * (1 - COALESCE("discount", 0) / 100))::numeric, 2)::double precision, 'initial'
+FROM "Product";
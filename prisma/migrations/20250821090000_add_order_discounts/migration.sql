@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "discountTotal" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "subtotal" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "OrderItem" ADD COLUMN     "discount" DOUBLE PRECISION,
+ADD COLUMN     "listPrice" DOUBLE PRECISION;
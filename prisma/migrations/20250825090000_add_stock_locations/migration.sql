@@ -0,0 +1,108 @@
+-- CreateEnum
+CREATE TYPE "StockMovementType" AS ENUM ('RECEIPT', 'ADJUSTMENT', 'SALE', 'RETURN', 'TRANSFER');
+
+-- AlterTable
+ALTER TABLE "OrderItem" ADD COLUMN     "locationId" TEXT;
+
+-- CreateTable
+CREATE TABLE "StockLocation" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "city" TEXT,
+    "state" TEXT,
+    "country" TEXT,
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StockLocation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "StockLevel" (
+    "id" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT,
+    "quantity" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StockLevel_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "StockMovement" (
+    "id" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT,
+    "quantity" INTEGER NOT NULL,
+    "type" "StockMovementType" NOT NULL,
+    "orderId" TEXT,
+    "reference" TEXT,
+    "note" TEXT,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "StockMovement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StockLocation_code_key" ON "StockLocation"("code");
+
+-- CreateIndex
+CREATE INDEX "StockLevel_productId_idx" ON "StockLevel"("productId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StockLevel_locationId_productId_variantId_key" ON "StockLevel"("locationId", "productId", "variantId");
+
+-- CreateIndex
+CREATE INDEX "StockMovement_productId_createdAt_idx" ON "StockMovement"("productId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "StockMovement_locationId_createdAt_idx" ON "StockMovement"("locationId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "StockMovement_orderId_idx" ON "StockMovement"("orderId");
+
+-- AddForeignKey
+ALTER TABLE "OrderItem" ADD CONSTRAINT "OrderItem_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "StockLocation"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockLevel" ADD CONSTRAINT "StockLevel_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "StockLocation"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockLevel" ADD CONSTRAINT "StockLevel_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockLevel" ADD CONSTRAINT "StockLevel_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "ProductVariant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockMovement" ADD CONSTRAINT "StockMovement_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "StockLocation"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockMovement" ADD CONSTRAINT "StockMovement_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockMovement" ADD CONSTRAINT "StockMovement_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "ProductVariant"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Existing stock all moves into a main warehouse, recorded as opening stock
+INSERT INTO "StockLocation" ("id", "name", "code", "updatedAt")
+VALUES (gen_random_uuid()::text, 'Main warehouse', 'MAIN', CURRENT_TIMESTAMP);
+
+INSERT INTO "StockLevel" ("id", "locationId", "productId", "variantId", "quantity", "updatedAt")
+SELECT gen_random_uuid()::text, l."id", v."productId", v."id", v."stock", CURRENT_TIMESTAMP
+FROM "ProductVariant" v, "StockLocation" l
+WHERE l."code" = 'MAIN' AND v."stock" > 0;
+
+INSERT INTO "StockLevel" ("id", "locationId", "productId", "variantId", "quantity", "updatedAt")
+SELECT gen_random_uuid()::text, l."id", p."id", NULL, p."stock", CURRENT_TIMESTAMP
+FROM "Product" p, "StockLocation" l
+WHERE l."code" = 'MAIN' AND p."stock" > 0
+  AND NOT EXISTS (SELECT 1 FROM "ProductVariant" v WHERE v."productId" = p."id");
+
+INSERT INTO "StockMovement" ("id", "locationId", "productId", "variantId", "quantity", "type", "note")
+SELECT gen_random_uuid()::text, "locationId", "productId", "variantId", "quantity", 'ADJUSTMENT', 'Opening stock'
+FROM "StockLevel";
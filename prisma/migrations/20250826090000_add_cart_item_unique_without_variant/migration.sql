@@ -0,0 +1,23 @@
+-- Merge duplicate cart lines for products without variants into the oldest one
+-- (the unique index on cartId, productId and variantId treats NULLs as distinct)
+WITH "lines" AS (
+    SELECT "id",
+        SUM("quantity") OVER (PARTITION BY "cartId", "productId") AS "total",
+        ROW_NUMBER() OVER (PARTITION BY "cartId", "productId" ORDER BY "createdAt", "id") AS "position"
+    FROM "CartItem"
+    WHERE "variantId" IS NULL
+)
+UPDATE "CartItem" SET "quantity" = "lines"."total"
+FROM "lines"
+WHERE "CartItem"."id" = "lines"."id" AND "lines"."position" = 1;
+
+DELETE FROM "CartItem"
+WHERE "variantId" IS NULL AND "id" NOT IN (
+    SELECT DISTINCT ON ("cartId", "productId") "id"
+    FROM "CartItem"
+    WHERE "variantId" IS NULL
+    ORDER BY "cartId", "productId", "createdAt", "id"
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CartItem_cartId_productId_no_variant_key" ON "CartItem"("cartId", "productId") WHERE "variantId" IS NULL;
@@ -0,0 +1,23 @@
+-- Merge duplicate stock levels for products without variants into the oldest one
+-- (the unique index on locationId, productId and variantId treats NULLs as distinct)
+WITH "levels" AS (
+    SELECT "id",
+        SUM("quantity") OVER (PARTITION BY "locationId", "productId") AS "total",
+        ROW_NUMBER() OVER (PARTITION BY "locationId", "productId" ORDER BY "updatedAt", "id") AS "position"
+    FROM "StockLevel"
+    WHERE "variantId" IS NULL
+)
+UPDATE "StockLevel" SET "quantity" = "levels"."total"
+FROM "levels"
+WHERE "StockLevel"."id" = "levels"."id" AND "levels"."position" = 1;
+
+DELETE FROM "StockLevel"
+WHERE "variantId" IS NULL AND "id" NOT IN (
+    SELECT DISTINCT ON ("locationId", "productId") "id"
+    FROM "StockLevel"
+    WHERE "variantId" IS NULL
+    ORDER BY "locationId", "productId", "updatedAt", "id"
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StockLevel_locationId_productId_no_variant_key" ON "StockLevel"("locationId", "productId") WHERE "variantId" IS NULL;
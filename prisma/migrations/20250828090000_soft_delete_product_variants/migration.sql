@@ -0,0 +1,8 @@
+-- DropForeignKey
+ALTER TABLE "StockMovement" DROP CONSTRAINT "StockMovement_variantId_fkey";
+
+-- AlterTable
+ALTER TABLE "ProductVariant" ADD COLUMN     "deletedAt" TIMESTAMP(3);
+
+-- AddForeignKey
+ALTER TABLE "StockMovement" ADD CONSTRAINT "StockMovement_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "ProductVariant"("id") ON DELETE NO ACTION ON UPDATE CASCADE;
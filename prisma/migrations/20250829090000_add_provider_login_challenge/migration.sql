@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "loginChallengeExpiry" TIMESTAMP(3),
+ADD COLUMN     "loginChallengeHash" TEXT;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "unlockTokenExpiry" TIMESTAMP(3);
@@ -0,0 +1,14 @@
+-- Emails are now stored and looked up trimmed and in lower case. Addresses
+-- that would clash with another account once lowered are left for support
+-- to merge by hand.
+UPDATE "User" AS u
+SET "email" = LOWER(TRIM(u."email"))
+WHERE u."email" <> LOWER(TRIM(u."email"))
+  AND NOT EXISTS (
+    SELECT 1 FROM "User" AS other
+    WHERE other."id" <> u."id" AND LOWER(TRIM(other."email")) = LOWER(TRIM(u."email"))
+  );
+
+UPDATE "User"
+SET "pendingEmail" = LOWER(TRIM("pendingEmail"))
+WHERE "pendingEmail" IS NOT NULL;
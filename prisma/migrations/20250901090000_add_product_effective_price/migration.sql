@@ -0,0 +1,10 @@
+-- AlterTable
+-- The price customers pay, for price filters and facet counts. Rounded to the
+-- cent like discountedPrice in src/utils/pricing.js; scheduled prices are
+-- written to price and discount, so they are covered too.
+ALTER TABLE "Product" ADD COLUMN     "effectivePrice" DOUBLE PRECISION GENERATED ALWAYS AS (
+    ROUND(("price" * (1 - COALESCE("discount", 0) / 100))::NUMERIC, 2)::DOUBLE PRECISION
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "Product_effectivePrice_idx" ON "Product"("effectivePrice");
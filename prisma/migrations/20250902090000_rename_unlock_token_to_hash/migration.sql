@@ -0,0 +1,6 @@
+-- AlterTable
+-- The column has only ever held the token's hash
+ALTER TABLE "User" RENAME COLUMN "unlockToken" TO "unlockTokenHash";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_unlockTokenHash_key" ON "User"("unlockTokenHash");
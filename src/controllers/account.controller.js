@@ -0,0 +1,217 @@
+const archiver = require("archiver");
+const bcrypt = require("bcryptjs");
+const { PrismaClient } = require("@prisma/client");
+const logger = require("../utils/logger");
+const emailService = require("../utils/email/emailService");
+const sessionService = require("../utils/auth/sessionService");
+const {
+    exportUserData,
+    hasOpenOrders,
+} = require("../utils/auth/accountService");
+const { recordAudit } = require("../utils/auditLog");
+
+const prisma = new PrismaClient();
+
+const DELETION_GRACE_DAYS =
+    parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+// A sign-in this recent counts as confirming it's really the user
+const REAUTHENTICATION_MINUTES = 10;
+
+/**
+ * Check that the user has just proved who they are: with their current
+ * password, or by signing in on this device (password and second factor,
+ * passkey or provider) in the last few minutes. Accounts created through a
+ * provider, or only used with passkeys, have no password the user knows.
+ * @param {Request} req - Express request object
+ * @param {Object} user - User object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const assertRecentlyAuthenticated = async (req, user, res) => {
+    const { currentPassword } = req.body;
+
+    if (currentPassword) {
+        const isMatch = await bcrypt.compare(currentPassword, user.password);
+        if (!isMatch) {
+            res.status(401);
+            throw new Error("Current password is incorrect");
+        }
+        return;
+    }
+
+    const session = await prisma.session.findUnique({
+        where: { id: req.sessionId },
+    });
+
+    const signedInSince = new Date(
+        Date.now() - REAUTHENTICATION_MINUTES * 60 * 1000
+    );
+
+    if (!session || session.createdAt < signedInSince) {
+        res.status(401);
+        throw new Error(
+            "Enter your current password, or sign in again, to confirm it's you"
+        );
+    }
+};
+
+/**
+ * Download everything stored about the current user, as a single JSON file
+ * or (with ?format=zip) a ZIP with one JSON file per section
+ * @route GET /api/auth/account/export
+ * @access Private
+ */
+const exportAccountData = async (req, res, next) => {
+    try {
+        const data = await exportUserData(req.user.id);
+
+        if (!data) {
+            res.status(404);
+            throw new Error("User not found");
+        }
+
+        await recordAudit({
+            actorId: req.user.id,
+            userId: req.user.id,
+            action: "account.export",
+            req,
+        });
+
+        const date = new Date().toISOString().slice(0, 10);
+        const filename = `account-data-${date}`;
+
+        if (req.query.format !== "zip") {
+            res.attachment(`${filename}.json`);
+            return res.json({ exportedAt: new Date(), ...data });
+        }
+
+        const archive = archiver("zip");
+        archive.on("error", next);
+
+        res.attachment(`${filename}.zip`);
+        archive.pipe(res);
+
+        Object.entries(data).forEach(([section, content]) => {
+            archive.append(JSON.stringify(content, null, 2), {
+                name: `${section}.json`,
+            });
+        });
+
+        await archive.finalize();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Schedule deletion of the current user's account. The account stays usable
+ * during the grace period so the deletion can still be cancelled. Needs the
+ * current password or a sign-in in the last few minutes.
+ * @route POST /api/auth/account/deletion
+ * @access Private
+ */
+const requestAccountDeletion = async (req, res, next) => {
+    try {
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+        });
+
+        if (!user) {
+            res.status(404);
+            throw new Error("User not found");
+        }
+
+        await assertRecentlyAuthenticated(req, user, res);
+
+        if (user.deletionScheduledAt) {
+            res.status(400);
+            throw new Error("Account deletion is already scheduled");
+        }
+
+        if (await hasOpenOrders(user.id)) {
+            res.status(400);
+            throw new Error(
+                "Your account can't be deleted while you have orders in progress"
+            );
+        }
+
+        const deletionScheduledAt = new Date(
+            Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000
+        );
+
+        await prisma.user.update({
+            where: { id: user.id },
+            data: { deletionScheduledAt },
+        });
+
+        // Sign out everywhere else; this device can still cancel
+        await sessionService.revokeUserSessions(user.id, req.sessionId);
+
+        await recordAudit({
+            actorId: user.id,
+            userId: user.id,
+            action: "account.deletion_requested",
+            req,
+            metadata: { deletionScheduledAt },
+        });
+
+        try {
+            await emailService.sendAccountDeletionScheduledEmail(
+                user,
+                deletionScheduledAt
+            );
+        } catch (emailError) {
+            logger.error(
+                `Error sending account deletion email: ${emailError.message}`
+            );
+        }
+
+        logger.info(`Account ${user.id} scheduled for deletion`);
+
+        res.json({
+            message: "Account scheduled for deletion",
+            deletionScheduledAt,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Cancel a scheduled deletion of the current user's account
+ * @route DELETE /api/auth/account/deletion
+ * @access Private
+ */
+const cancelAccountDeletion = async (req, res, next) => {
+    try {
+        const { count } = await prisma.user.updateMany({
+            where: { id: req.user.id, deletionScheduledAt: { not: null } },
+            data: { deletionScheduledAt: null },
+        });
+
+        if (count === 0) {
+            res.status(400);
+            throw new Error("Account deletion is not scheduled");
+        }
+
+        await recordAudit({
+            actorId: req.user.id,
+            userId: req.user.id,
+            action: "account.deletion_cancelled",
+            req,
+        });
+
+        logger.info(`Account ${req.user.id} deletion cancelled`);
+
+        res.json({ message: "Account deletion cancelled" });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    exportAccountData,
+    requestAccountDeletion,
+    cancelAccountDeletion,
+};
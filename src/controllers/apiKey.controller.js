@@ -0,0 +1,213 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const { generateApiKey } = require('../utils/auth/apiKeyService');
+const { PERMISSIONS, hasPermission } = require('../utils/auth/permissions');
+const { recordAudit } = require('../utils/auditLog');
+
+const prisma = new PrismaClient();
+
+// Fields returned for an API key (never the hash)
+const apiKeySelect = {
+  id: true,
+  name: true,
+  keyPrefix: true,
+  scopes: true,
+  rateLimit: true,
+  expiresAt: true,
+  revokedAt: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  createdById: true,
+  createdAt: true,
+  user: {
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      role: true
+    }
+  }
+};
+
+/**
+ * Get all API keys (requires apikeys:manage)
+ * @route GET /api/api-keys
+ * @access Private
+ */
+const getApiKeys = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const where = {};
+    if (req.query.userId) {
+      where.userId = req.query.userId;
+    }
+    if (req.query.active === 'true') {
+      where.revokedAt = null;
+      where.OR = [{ expiresAt: null }, { expiresAt: { gt: new Date() } }];
+    }
+
+    const apiKeys = await prisma.apiKey.findMany({
+      where,
+      select: apiKeySelect,
+      orderBy: {
+        createdAt: 'desc'
+      },
+      skip,
+      take: limit
+    });
+
+    const total = await prisma.apiKey.count({ where });
+
+    res.json({
+      apiKeys,
+      page,
+      pages: Math.ceil(total / limit),
+      total
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an API key acting as a user, limited to the given scopes (requires apikeys:manage).
+ * The key is only returned in this response.
+ * @route POST /api/api-keys
+ * @access Private
+ */
+const createApiKey = async (req, res, next) => {
+  try {
+    const { name, scopes, userId, expiresAt, rateLimit } = req.body;
+
+    if (!name) {
+      res.status(400);
+      throw new Error('Please provide a name for the API key');
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      res.status(400);
+      throw new Error('Please provide at least one scope');
+    }
+
+    const unknownScopes = scopes.filter((scope) => !PERMISSIONS.includes(scope));
+    if (unknownScopes.length > 0) {
+      res.status(400);
+      throw new Error(`Unknown scopes: ${unknownScopes.join(', ')}`);
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+        res.status(400);
+        throw new Error('Expiry must be a date in the future');
+      }
+    }
+
+    if (rateLimit !== undefined && rateLimit !== null && (!Number.isInteger(rateLimit) || rateLimit < 1)) {
+      res.status(400);
+      throw new Error('Rate limit must be a positive whole number of requests per minute');
+    }
+
+    // Keys act as their owner, defaulting to the admin creating them
+    const owner = await prisma.user.findUnique({
+      where: { id: userId || req.user.id },
+      select: {
+        id: true,
+        role: true
+      }
+    });
+
+    if (!owner) {
+      res.status(404);
+      throw new Error('User not found');
+    }
+
+    // A key can never do more than its owner
+    const deniedScopes = scopes.filter((scope) => !hasPermission(owner.role, scope));
+    if (deniedScopes.length > 0) {
+      res.status(400);
+      throw new Error(`User's role does not grant: ${deniedScopes.join(', ')}`);
+    }
+
+    const { key, keyPrefix, keyHash } = generateApiKey();
+
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        name,
+        keyPrefix,
+        keyHash,
+        userId: owner.id,
+        scopes: [...new Set(scopes)],
+        rateLimit,
+        createdById: req.user.id,
+        expiresAt: expiry
+      },
+      select: apiKeySelect
+    });
+
+    await recordAudit({
+      actorId: req.user.id,
+      userId: owner.id,
+      action: 'apikey.create',
+      req,
+      metadata: { apiKeyId: apiKey.id, scopes: apiKey.scopes }
+    });
+
+    logger.info(`API key ${apiKey.id} created by ${req.user.id} for user ${owner.id}`);
+
+    res.status(201).json({ ...apiKey, key });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke an API key (requires apikeys:manage)
+ * @route DELETE /api/api-keys/:id
+ * @access Private
+ */
+const revokeApiKey = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const apiKey = await prisma.apiKey.findUnique({
+      where: { id }
+    });
+
+    if (!apiKey) {
+      res.status(404);
+      throw new Error('API key not found');
+    }
+
+    if (!apiKey.revokedAt) {
+      await prisma.apiKey.update({
+        where: { id },
+        data: { revokedAt: new Date() }
+      });
+
+      await recordAudit({
+        actorId: req.user.id,
+        userId: apiKey.userId,
+        action: 'apikey.revoke',
+        req,
+        metadata: { apiKeyId: apiKey.id }
+      });
+
+      logger.info(`API key ${apiKey.id} revoked by ${req.user.id}`);
+    }
+
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
+};
@@ -1,9 +1,18 @@
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
 const { PrismaClient } = require("@prisma/client");
 const logger = require("../utils/logger");
 const emailService = require("../utils/email/emailService");
+const sessionService = require("../utils/auth/sessionService");
+const totp = require("../utils/auth/totp");
+const loginGuard = require("../utils/auth/loginGuard");
+const { hashToken, hashOtp, safeEqual } = require("../utils/auth/tokenHash");
+const {
+    createUserAccount,
+    normalizeEmail,
+} = require("../utils/auth/accountService");
+const { assertValidPassword } = require("../utils/auth/passwordPolicy");
+const { getPermissions } = require("../utils/auth/permissions");
 
 const prisma = new PrismaClient();
 
@@ -14,7 +23,8 @@ const prisma = new PrismaClient();
  */
 const register = async (req, res, next) => {
     try {
-        const { name, email, password } = req.body;
+        const { name, password } = req.body;
+        const email = normalizeEmail(req.body.email);
 
         // Check if user already exists
         const userExists = await prisma.user.findUnique({
@@ -26,47 +36,55 @@ const register = async (req, res, next) => {
             throw new Error("User already exists");
         }
 
+        assertValidPassword(password, { name, email }, res);
+
         // Hash password
         const salt = await bcrypt.genSalt(10);
         const hashedPassword = await bcrypt.hash(password, salt);
 
+        // Email address stays unverified until the emailed link is opened
+        const verification = createEmailVerification();
+
         // Create user
-        const user = await prisma.user.create({
-            data: {
+        const user = await createUserAccount(
+            {
                 name,
                 email,
                 password: hashedPassword,
-                cart: {
-                    create: {}, // Create an empty cart for the user
-                },
-                wishlist: {
-                    create: {}, // Create an empty wishlist for the user
-                },
+                ...verification.data,
             },
-            select: {
+            {
                 id: true,
                 name: true,
                 email: true,
+                emailVerified: true,
                 role: true,
                 createdAt: true,
-            },
-        });
+            }
+        );
 
-        // Generate JWT token
-        const token = generateToken(user.id);
+        // Start a session and issue tokens
+        const { accessToken, refreshToken } =
+            await sessionService.createSession(user.id, req);
 
-        // Send welcome email
+        // Send verification email (the welcome email follows once verified)
         try {
-            await emailService.sendWelcomeEmail(user);
-            logger.info(`Welcome email sent to ${user.email}`);
+            await emailService.sendEmailVerificationEmail(
+                user,
+                verification.token
+            );
+            logger.info(`Verification email sent to ${user.email}`);
         } catch (emailError) {
-            logger.error(`Error sending welcome email: ${emailError.message}`);
+            logger.error(
+                `Error sending verification email: ${emailError.message}`
+            );
             // Don't throw error, continue with registration
         }
 
         res.status(201).json({
             ...user,
-            token,
+            token: accessToken,
+            refreshToken,
         });
     } catch (error) {
         next(error);
@@ -80,7 +98,8 @@ const register = async (req, res, next) => {
  */
 const login = async (req, res, next) => {
     try {
-        const { email, password } = req.body;
+        const { password } = req.body;
+        const email = normalizeEmail(req.body.email);
 
         // Check if the user exists
         const user = await prisma.user.findUnique({ where: { email } });
@@ -89,26 +108,40 @@ const login = async (req, res, next) => {
             throw new Error("Invalid email or password");
         }
 
+        // Refuse attempts while the account is locked or cooling down
+        loginGuard.assertCanAttempt(user, res);
+
         // Check if password matches
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) {
+            await loginGuard.recordFailedLogin(user);
             res.status(401);
             throw new Error("Invalid email or password");
         }
 
+        // Authenticator app users enter a TOTP code instead of an emailed one
+        if (user.twoFactorMethod === "TOTP") {
+            return res.json({
+                otpSent: false,
+                method: "TOTP",
+                userId: user.id,
+            });
+        }
+
         // Generate OTP and expiry
         const otp = generateOTP();
         const otpExpiry = new Date(Date.now() + 10 * 60 * 1000);
 
         await prisma.user.update({
             where: { id: user.id },
-            data: { otp, otpExpiry },
+            data: { otpHash: hashOtp(otp), otpExpiry, otpAttempts: 0 },
         });
 
         await emailService.sendOtpEmail(user, otp);
 
         res.json({
             otpSent: true,
+            method: "EMAIL",
             userId: user.id,
         });
     } catch (error) {
@@ -129,8 +162,10 @@ const getProfile = async (req, res, next) => {
                 id: true,
                 name: true,
                 email: true,
+                emailVerified: true,
                 profilePicture: true,
                 role: true,
+                deletionScheduledAt: true,
                 createdAt: true,
                 addresses: {
                     where: { isDefault: true },
@@ -148,7 +183,7 @@ const getProfile = async (req, res, next) => {
             throw new Error("User not found");
         }
 
-        res.json(user);
+        res.json({ ...user, permissions: getPermissions(user.role) });
     } catch (error) {
         next(error);
     }
@@ -161,7 +196,8 @@ const getProfile = async (req, res, next) => {
  */
 const updateProfile = async (req, res, next) => {
     try {
-        const { name, email, password, profilePicture } = req.body;
+        const { name, password, currentPassword, profilePicture } = req.body;
+        const email = normalizeEmail(req.body.email);
 
         // Get user
         const user = await prisma.user.findUnique({
@@ -173,23 +209,172 @@ const updateProfile = async (req, res, next) => {
             throw new Error("User not found");
         }
 
-        // Update user data
+        const emailChanged = email && email !== user.email;
+
+        // Changing the email or password requires the current password
+        if (emailChanged || password) {
+            if (!currentPassword) {
+                res.status(400);
+                throw new Error("Current password is required");
+            }
+
+            const isMatch = await bcrypt.compare(currentPassword, user.password);
+            if (!isMatch) {
+                res.status(401);
+                throw new Error("Current password is incorrect");
+            }
+        }
+
+        // Update user data (email changes go through confirmation below)
         const updateData = {
             name: name || user.name,
-            email: email || user.email,
             profilePicture: profilePicture || user.profilePicture,
         };
 
-        // If password is provided, hash it
+        // If password is provided, check it against the policy and hash it
         if (password) {
+            assertValidPassword(
+                password,
+                { name: updateData.name, email: user.email },
+                res
+            );
+
             const salt = await bcrypt.genSalt(10);
             updateData.password = await bcrypt.hash(password, salt);
         }
 
+        // A new email only takes effect once confirmed from the new address
+        let emailChange;
+        if (emailChanged) {
+            const emailTaken = await prisma.user.findUnique({
+                where: { email },
+            });
+
+            if (emailTaken) {
+                res.status(400);
+                throw new Error("Email is already in use");
+            }
+
+            emailChange = createEmailVerification();
+            Object.assign(updateData, {
+                pendingEmail: email,
+                pendingEmailTokenHash: emailChange.data.emailVerificationTokenHash,
+                pendingEmailExpiry: emailChange.data.emailVerificationExpiry,
+            });
+        }
+
         // Update user
         const updatedUser = await prisma.user.update({
             where: { id: req.user.id },
             data: updateData,
+            select: {
+                id: true,
+                name: true,
+                email: true,
+                pendingEmail: true,
+                profilePicture: true,
+                role: true,
+                createdAt: true,
+            },
+        });
+
+        if (password) {
+            // Sign out every other device that knew the old password
+            await sessionService.revokeUserSessions(user.id, req.sessionId);
+            logger.info(`Password changed for user ${user.id}`);
+        }
+
+        // The change is saved either way; if the link couldn't be sent the
+        // client is told, and saving the same email again sends a new one
+        let emailChangeResult = {};
+        if (emailChange) {
+            try {
+                await emailService.sendEmailChangeConfirmationEmail(
+                    { ...user, email },
+                    emailChange.token
+                );
+                emailChangeResult = { emailConfirmationSent: true };
+            } catch (emailError) {
+                logger.error(
+                    `Error sending email change confirmation: ${emailError.message}`
+                );
+                emailChangeResult = {
+                    emailConfirmationSent: false,
+                    message:
+                        "We couldn't send the confirmation link to your new email address. Please save it again to resend the link.",
+                };
+            }
+
+            try {
+                await emailService.sendEmailChangeNotificationEmail(user, email);
+            } catch (emailError) {
+                logger.error(
+                    `Error sending email change notification: ${emailError.message}`
+                );
+            }
+        }
+
+        res.json({ ...updatedUser, ...emailChangeResult });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Generate a 6-digit OTP
+ * @returns {string} 6-digit OTP
+ */
+const generateOTP = () => {
+    return crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+};
+
+/**
+ * Confirm a pending email change using the link sent to the new address
+ * @route POST /api/auth/confirm-email-change
+ * @access Private
+ */
+const confirmEmailChange = async (req, res, next) => {
+    try {
+        const { token } = req.body;
+        if (!token) {
+            res.status(400);
+            throw new Error("Confirmation token is required");
+        }
+
+        const user = await prisma.user.findFirst({
+            where: {
+                id: req.user.id,
+                pendingEmailTokenHash: hashToken(token),
+                pendingEmailExpiry: {
+                    gt: new Date(),
+                },
+            },
+        });
+
+        if (!user || !user.pendingEmail) {
+            res.status(400);
+            throw new Error("Invalid or expired confirmation token");
+        }
+
+        // The address may have been registered since the change was requested
+        const emailTaken = await prisma.user.findUnique({
+            where: { email: user.pendingEmail },
+        });
+
+        if (emailTaken) {
+            res.status(400);
+            throw new Error("Email is already in use");
+        }
+
+        const updatedUser = await prisma.user.update({
+            where: { id: user.id },
+            data: {
+                email: user.pendingEmail,
+                emailVerified: true,
+                pendingEmail: null,
+                pendingEmailTokenHash: null,
+                pendingEmailExpiry: null,
+            },
             select: {
                 id: true,
                 name: true,
@@ -200,6 +385,10 @@ const updateProfile = async (req, res, next) => {
             },
         });
 
+        // Sign out every other device
+        await sessionService.revokeUserSessions(user.id, req.sessionId);
+        logger.info(`Email changed for user ${user.id}`);
+
         res.json(updatedUser);
     } catch (error) {
         next(error);
@@ -207,22 +396,91 @@ const updateProfile = async (req, res, next) => {
 };
 
 /**
- * Generate JWT token
- * @param {string} id - User ID
- * @returns {string} JWT token
+ * Generate an email verification token
+ * @returns {{ token: string, data: Object }} Raw token (emailed) and the user fields to store
+ */
+const createEmailVerification = () => {
+    const token = crypto.randomBytes(32).toString("hex");
+
+    return {
+        token,
+        data: {
+            emailVerificationTokenHash: hashToken(token),
+            emailVerificationExpiry: new Date(
+                Date.now() + 24 * 60 * 60 * 1000
+            ), // 24 hours
+        },
+    };
+};
+
+/**
+ * Check an emailed OTP
+ * @param {Object} user - User object
+ * @param {string} otp - Code entered by the user
+ * @returns {Object|null} User update that consumes the OTP, or null if invalid
+ */
+const checkEmailOtp = (user, otp) => {
+    if (!user.otpHash || !user.otpExpiry || user.otpExpiry < new Date()) {
+        return null;
+    }
+
+    if (!safeEqual(hashOtp(otp), user.otpHash)) {
+        return null;
+    }
+
+    return { otpHash: null, otpExpiry: null };
+};
+
+/**
+ * Check a TOTP code, falling back to a single-use recovery code
+ * @param {Object} user - User object
+ * @param {string} code - TOTP or recovery code entered by the user
+ * @returns {Object|null} User update that consumes the code, or null if invalid
+ */
+const checkTotpOrRecoveryCode = (user, code) => {
+    const counter = totp.verifyCode(user.totpSecret, code, {
+        afterCounter: user.totpLastCounter,
+    });
+    if (counter !== null) {
+        return { totpLastCounter: counter };
+    }
+
+    const codeHash = hashToken(normalizeRecoveryCode(code));
+    if (user.recoveryCodes.includes(codeHash)) {
+        logger.info(`Recovery code used by user ${user.id}`);
+        return {
+            recoveryCodes: user.recoveryCodes.filter((hash) => hash !== codeHash),
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Generate a set of single-use recovery codes
+ * @returns {{ codes: string[], hashes: string[] }} Plain codes (shown once) and their hashes (stored)
  */
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRES_IN,
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: 10 }, () => {
+        const raw = crypto.randomBytes(5).toString("hex");
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
     });
+
+    return {
+        codes,
+        hashes: codes.map((code) =>
+            hashToken(normalizeRecoveryCode(code))
+        ),
+    };
 };
 
 /**
- * Generate a 6-digit OTP
- * @returns {string} 6-digit OTP
+ * Normalize a recovery code so formatting differences don't matter
+ * @param {string} code - Recovery code
+ * @returns {string} Normalized code
  */
-const generateOTP = () => {
-    return Math.floor(100000 + Math.random() * 900000).toString();
+const normalizeRecoveryCode = (code) => {
+    return String(code).toLowerCase().replace(/[^a-f0-9]/g, "");
 };
 
 /**
@@ -232,7 +490,7 @@ const generateOTP = () => {
  */
 const forgotPassword = async (req, res, next) => {
     try {
-        const { email } = req.body;
+        const email = normalizeEmail(req.body.email);
 
         // Check if user exists
         const user = await prisma.user.findUnique({
@@ -248,11 +506,11 @@ const forgotPassword = async (req, res, next) => {
         const resetToken = crypto.randomBytes(32).toString("hex");
         const resetTokenExpiry = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
 
-        // Save reset token to user
+        // Save reset token hash to user (the raw token only goes out by email)
         await prisma.user.update({
             where: { id: user.id },
             data: {
-                resetToken,
+                resetTokenHash: hashToken(resetToken),
                 resetTokenExpiry,
             },
         });
@@ -284,14 +542,19 @@ const resetPassword = async (req, res, next) => {
     try {
         const { token, password } = req.body;
 
-        // Find user with valid reset token
+        if (!token || !password) {
+            res.status(400);
+            throw new Error("Token and password are required");
+        }
+
         const user = await prisma.user.findFirst({
             where: {
-                resetToken: token,
+                resetTokenHash: hashToken(token),
                 resetTokenExpiry: {
                     gt: new Date(),
                 },
             },
+            select: { name: true, email: true },
         });
 
         if (!user) {
@@ -299,20 +562,38 @@ const resetPassword = async (req, res, next) => {
             throw new Error("Invalid or expired reset token");
         }
 
+        assertValidPassword(password, user, res);
+
         // Hash new password
         const salt = await bcrypt.genSalt(10);
         const hashedPassword = await bcrypt.hash(password, salt);
 
-        // Update user password and clear reset token
-        await prisma.user.update({
-            where: { id: user.id },
+        // Update the password and clear the reset token in one statement, so
+        // a token can only ever be redeemed once
+        const { count } = await prisma.user.updateMany({
+            where: {
+                resetTokenHash: hashToken(token),
+                resetTokenExpiry: {
+                    gt: new Date(),
+                },
+            },
             data: {
                 password: hashedPassword,
-                resetToken: null,
+                resetTokenHash: null,
                 resetTokenExpiry: null,
+                // The link was emailed, so opening it proves the address
+                emailVerified: true,
             },
         });
 
+        if (count === 0) {
+            res.status(400);
+            throw new Error("Invalid or expired reset token");
+        }
+
+        // Sign out every device that knew the old password
+        await sessionService.revokeUserSessions(user.id);
+
         res.json({ message: "Password reset successful" });
     } catch (error) {
         next(error);
@@ -321,57 +602,219 @@ const resetPassword = async (req, res, next) => {
 
 /**
  * @route POST /api/auth/verify-otp
- * @desc Verify OTP and password for login
+ * @desc Verify OTP (emailed code, authenticator app code or recovery code) and password for login.
+ * Provider sign-ins send the challenge token from the callback instead of the password.
  * @access Public
  */
 const verifyOtp = async (req, res, next) => {
     try {
-        const { userId, otp, password } = req.body;
-        if (!userId || !otp || !password) {
+        const { userId, otp, password, challengeToken } = req.body;
+        if (!userId || !otp || (!password && !challengeToken)) {
+            res.status(400);
+            throw new Error(
+                "User ID, OTP, and password (or challenge token) are required"
+            );
+        }
+
+        const user = await prisma.user.findUnique({ where: { id: userId } });
+        if (!user) {
+            res.status(400);
+            throw new Error("Invalid or expired OTP");
+        }
+
+        // Refuse attempts while the account is locked or cooling down
+        loginGuard.assertCanAttempt(user, res);
+
+        // Check the second factor for the user's configured method
+        const otpUpdate =
+            user.twoFactorMethod === "TOTP"
+                ? checkTotpOrRecoveryCode(user, otp)
+                : checkEmailOtp(user, otp);
+
+        if (!otpUpdate) {
+            const invalidated = await loginGuard.recordFailedOtp(user);
+            res.status(400);
+            throw new Error(
+                invalidated
+                    ? "Too many incorrect codes, please request a new OTP"
+                    : "Invalid or expired OTP"
+            );
+        }
+
+        if (password) {
+            // Check password
+            const isMatch = await bcrypt.compare(password, user.password);
+            if (!isMatch) {
+                await loginGuard.recordFailedLogin(user);
+                res.status(401);
+                throw new Error("Invalid password");
+            }
+        } else if (
+            !user.loginChallengeHash ||
+            !user.loginChallengeExpiry ||
+            user.loginChallengeExpiry < new Date() ||
+            !safeEqual(hashToken(challengeToken), user.loginChallengeHash)
+        ) {
+            // Provider sign-in: the challenge proves the provider step passed
+            await loginGuard.recordFailedLogin(user);
+            res.status(401);
+            throw new Error("Invalid or expired sign-in, please start again");
+        }
+
+        // Consume the OTP and challenge and clear failed attempts after
+        // successful verification. The update only applies if the row hasn't
+        // changed since it was read, so the same code can't be redeemed twice.
+        const { count } = await prisma.user.updateMany({
+            where: { id: user.id, updatedAt: user.updatedAt },
+            data: {
+                ...otpUpdate,
+                loginChallengeHash: null,
+                loginChallengeExpiry: null,
+                ...loginGuard.resetAttemptsData(),
+            },
+        });
+
+        if (count === 0) {
+            res.status(400);
+            throw new Error("Invalid or expired OTP");
+        }
+
+        // Start a session and issue tokens
+        const { accessToken, refreshToken } =
+            await sessionService.createSession(user.id, req);
+
+        res.json({
+            user: {
+                id: user.id,
+                name: user.name,
+                email: user.email,
+            },
+            token: accessToken,
+            refreshToken,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Verify email address using the link sent at registration
+ * @route POST /api/auth/verify-email
+ * @access Public
+ */
+const verifyEmail = async (req, res, next) => {
+    try {
+        const { token } = req.body;
+        if (!token) {
             res.status(400);
-            throw new Error("User ID, OTP, and password are required");
+            throw new Error("Verification token is required");
         }
 
-        // Find user with valid OTP
         const user = await prisma.user.findFirst({
             where: {
-                id: userId,
-                otp,
-                otpExpiry: {
-                    gte: new Date(),
+                emailVerificationTokenHash: hashToken(token),
+                emailVerificationExpiry: {
+                    gt: new Date(),
                 },
             },
         });
 
         if (!user) {
             res.status(400);
-            throw new Error("Invalid or expired OTP");
+            throw new Error("Invalid or expired verification token");
         }
 
-        // Check password
-        const isMatch = await bcrypt.compare(password, user.password);
-        if (!isMatch) {
-            res.status(401);
-            throw new Error("Invalid password");
+        await prisma.user.update({
+            where: { id: user.id },
+            data: {
+                emailVerified: true,
+                emailVerificationTokenHash: null,
+                emailVerificationExpiry: null,
+            },
+        });
+
+        // Send welcome email
+        try {
+            await emailService.sendWelcomeEmail(user);
+            logger.info(`Welcome email sent to ${user.email}`);
+        } catch (emailError) {
+            logger.error(`Error sending welcome email: ${emailError.message}`);
+            // Don't throw error, the address is verified either way
+        }
+
+        res.json({ message: "Email verified successfully" });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Resend the email verification link
+ * @route POST /api/auth/resend-verification
+ * @access Private
+ */
+const resendVerificationEmail = async (req, res, next) => {
+    try {
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+        });
+
+        if (user.emailVerified) {
+            res.status(400);
+            throw new Error("Email is already verified");
         }
 
-        // Clear OTP after successful verification
+        const verification = createEmailVerification();
+
         await prisma.user.update({
             where: { id: user.id },
-            data: { otp: null, otpExpiry: null },
+            data: verification.data,
         });
 
-        // Generate token (implement your own token logic)
-        const token = generateToken(user.id);
+        await emailService.sendEmailVerificationEmail(user, verification.token);
+        logger.info(`Verification email resent to ${user.email}`);
 
-        res.json({
-            user: {
-                id: user.id,
-                name: user.name,
-                email: user.email,
+        res.json({ message: "Verification email sent" });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Unlock an account locked after too many failed sign-in attempts
+ * @route POST /api/auth/unlock
+ * @access Public
+ */
+const unlockAccount = async (req, res, next) => {
+    try {
+        const { token } = req.body;
+        if (!token) {
+            res.status(400);
+            throw new Error("Unlock token is required");
+        }
+
+        const user = await prisma.user.findFirst({
+            where: {
+                unlockTokenHash: hashToken(token),
+                unlockTokenExpiry: {
+                    gt: new Date(),
+                },
             },
-            token,
         });
+
+        if (!user) {
+            res.status(400);
+            throw new Error("Invalid or expired unlock token");
+        }
+
+        await prisma.user.update({
+            where: { id: user.id },
+            data: loginGuard.resetAttemptsData(),
+        });
+
+        logger.info(`Account ${user.id} unlocked via email link`);
+
+        res.json({ message: "Account unlocked" });
     } catch (error) {
         next(error);
     }
@@ -414,19 +857,50 @@ const uploadProfilePicture = async (req, res, next) => {
 };
 
 /**
- * Logout user (invalidate OTP and reset tokens)
+ * Exchange a refresh token for a new access/refresh token pair
+ * @route POST /api/auth/refresh
+ * @access Public
+ */
+const refresh = async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) {
+            res.status(400);
+            throw new Error("Refresh token is required");
+        }
+
+        const tokens = await sessionService.rotateSession(refreshToken, req);
+        if (!tokens) {
+            res.status(401);
+            throw new Error("Invalid or expired refresh token");
+        }
+
+        res.json({
+            token: tokens.accessToken,
+            refreshToken: tokens.refreshToken,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Logout user (revoke the current session, invalidate OTP and reset tokens)
  * @route POST /api/logout
  * @access Private
  */
 const logout = async (req, res, next) => {
     try {
+        // Revoke the session behind the current access token
+        await sessionService.revokeSession(req.sessionId);
+
         // Invalidate OTP and reset tokens for the user
         await prisma.user.update({
             where: { id: req.user.id },
             data: {
-                otp: null,
+                otpHash: null,
                 otpExpiry: null,
-                resetToken: null,
+                resetTokenHash: null,
                 resetTokenExpiry: null,
             },
         });
@@ -437,14 +911,145 @@ const logout = async (req, res, next) => {
     }
 };
 
+/**
+ * List the current user's active sessions
+ * @route GET /api/auth/sessions
+ * @access Private
+ */
+const getSessions = async (req, res, next) => {
+    try {
+        const sessions = await sessionService.listActiveSessions(req.user.id);
+
+        res.json(
+            sessions.map((session) => ({
+                ...session,
+                current: session.id === req.sessionId,
+            }))
+        );
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Revoke one of the current user's sessions
+ * @route DELETE /api/auth/sessions/:id
+ * @access Private
+ */
+const deleteSession = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const sessions = await sessionService.listActiveSessions(req.user.id);
+        if (!sessions.some((session) => session.id === id)) {
+            res.status(404);
+            throw new Error("Session not found");
+        }
+
+        await sessionService.revokeSession(id);
+        logger.info(`Session ${id} revoked by user ${req.user.id}`);
+
+        res.json({ message: "Session revoked" });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Sign out everywhere else (revoke all sessions except the current one)
+ * @route DELETE /api/auth/sessions
+ * @access Private
+ */
+const deleteOtherSessions = async (req, res, next) => {
+    try {
+        const revoked = await sessionService.revokeUserSessions(
+            req.user.id,
+            req.sessionId
+        );
+        logger.info(
+            `${revoked} other session(s) revoked by user ${req.user.id}`
+        );
+
+        res.json({ message: "Other sessions revoked", revoked });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route POST /api/auth/magic-link
+ * @desc Sign in with a one-time link sent by request-otp in link mode
+ * @access Public
+ */
+const redeemMagicLink = async (req, res, next) => {
+    try {
+        const { token } = req.body;
+        if (!token) {
+            res.status(400);
+            throw new Error("Token is required");
+        }
+
+        const tokenHash = hashToken(token);
+
+        const user = await prisma.user.findFirst({
+            where: {
+                magicLinkTokenHash: tokenHash,
+                magicLinkExpiry: {
+                    gt: new Date(),
+                },
+            },
+        });
+
+        if (!user) {
+            res.status(400);
+            throw new Error("Invalid or expired sign-in link");
+        }
+
+        loginGuard.assertCanAttempt(user, res);
+
+        // Consume the link; opening it also proves the email address works
+        const { count } = await prisma.user.updateMany({
+            where: { id: user.id, magicLinkTokenHash: tokenHash },
+            data: {
+                magicLinkTokenHash: null,
+                magicLinkExpiry: null,
+                emailVerified: true,
+                ...loginGuard.resetAttemptsData(),
+            },
+        });
+
+        if (count === 0) {
+            res.status(400);
+            throw new Error("Invalid or expired sign-in link");
+        }
+
+        // Start a session and issue tokens
+        const { accessToken, refreshToken } =
+            await sessionService.createSession(user.id, req);
+
+        res.json({
+            user: {
+                id: user.id,
+                name: user.name,
+                email: user.email,
+            },
+            token: accessToken,
+            refreshToken,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * @route POST /api/auth/request-otp
- * @desc Request OTP for login
+ * @desc Request OTP (or, with mode "link", a magic sign-in link) for login
  * @access Public
  */
 const requestOtp = async (req, res, next) => {
     try {
-        const { email } = req.body;
+        const { mode = "code" } = req.body;
+        const email = normalizeEmail(req.body.email);
         if (!email) {
             res.status(400);
             throw new Error("Email is required");
@@ -457,6 +1062,31 @@ const requestOtp = async (req, res, next) => {
             throw new Error("User not found");
         }
 
+        // Don't send new codes to a locked account
+        loginGuard.assertCanAttempt(user, res);
+
+        // Authenticator app users don't get emailed codes or links
+        if (user.twoFactorMethod === "TOTP") {
+            return res.json({ otpSent: false, method: "TOTP", userId: user.id });
+        }
+
+        // Magic link mode: email a one-time sign-in link instead of a code
+        if (mode === "link") {
+            const magicLinkToken = crypto.randomBytes(32).toString("hex");
+
+            await prisma.user.update({
+                where: { id: user.id },
+                data: {
+                    magicLinkTokenHash: hashToken(magicLinkToken),
+                    magicLinkExpiry: new Date(Date.now() + 15 * 60 * 1000), // 15 minutes
+                },
+            });
+
+            await emailService.sendMagicLinkEmail(user, magicLinkToken);
+
+            return res.json({ linkSent: true, method: "LINK" });
+        }
+
         // Generate OTP and expiry
         const otp = generateOTP();
         const otpExpiry = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
@@ -464,13 +1094,182 @@ const requestOtp = async (req, res, next) => {
         // Save OTP and expiry to user
         await prisma.user.update({
             where: { id: user.id },
-            data: { otp, otpExpiry },
+            data: { otpHash: hashOtp(otp), otpExpiry, otpAttempts: 0 },
         });
 
         // Send OTP email
         await emailService.sendOtpEmail(user, otp);
 
-        res.json({ otpSent: true, userId: user.id });
+        res.json({ otpSent: true, method: "EMAIL", userId: user.id });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Start authenticator app enrollment
+ * @route POST /api/auth/2fa/totp/setup
+ * @access Private
+ */
+const setupTotp = async (req, res, next) => {
+    try {
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+        });
+
+        if (user.twoFactorMethod === "TOTP") {
+            res.status(400);
+            throw new Error("Authenticator app is already enabled");
+        }
+
+        // The secret stays pending until confirmTotp sees a valid code
+        const secret = totp.generateSecret();
+
+        await prisma.user.update({
+            where: { id: user.id },
+            data: { totpSecret: secret, totpLastCounter: null },
+        });
+
+        res.json({
+            secret,
+            otpauthUrl: totp.buildProvisioningUri(secret, user.email),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Confirm authenticator app enrollment and issue recovery codes
+ * @route POST /api/auth/2fa/totp/confirm
+ * @access Private
+ */
+const confirmTotp = async (req, res, next) => {
+    try {
+        const { code } = req.body;
+
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+        });
+
+        if (user.twoFactorMethod === "TOTP") {
+            res.status(400);
+            throw new Error("Authenticator app is already enabled");
+        }
+
+        if (!user.totpSecret) {
+            res.status(400);
+            throw new Error("Authenticator app setup has not been started");
+        }
+
+        const counter = totp.verifyCode(user.totpSecret, code);
+        if (counter === null) {
+            res.status(400);
+            throw new Error("Invalid authenticator code");
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+
+        await prisma.user.update({
+            where: { id: user.id },
+            data: {
+                twoFactorMethod: "TOTP",
+                totpLastCounter: counter,
+                recoveryCodes: hashes,
+            },
+        });
+
+        logger.info(`Authenticator app enabled for user ${user.id}`);
+
+        res.json({
+            message: "Authenticator app enabled",
+            recoveryCodes: codes,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Disable authenticator app and go back to emailed codes
+ * @route POST /api/auth/2fa/totp/disable
+ * @access Private
+ */
+const disableTotp = async (req, res, next) => {
+    try {
+        const { password, code } = req.body;
+        if (!password || !code) {
+            res.status(400);
+            throw new Error("Password and code are required");
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+        });
+
+        if (user.twoFactorMethod !== "TOTP") {
+            res.status(400);
+            throw new Error("Authenticator app is not enabled");
+        }
+
+        const isMatch = await bcrypt.compare(password, user.password);
+        if (!isMatch || !checkTotpOrRecoveryCode(user, code)) {
+            res.status(401);
+            throw new Error("Invalid password or code");
+        }
+
+        await prisma.user.update({
+            where: { id: user.id },
+            data: {
+                twoFactorMethod: "EMAIL",
+                totpSecret: null,
+                totpLastCounter: null,
+                recoveryCodes: [],
+            },
+        });
+
+        logger.info(`Authenticator app disabled for user ${user.id}`);
+
+        res.json({ message: "Authenticator app disabled" });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Replace all recovery codes with a fresh set
+ * @route POST /api/auth/2fa/recovery-codes
+ * @access Private
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+    try {
+        const { code } = req.body;
+
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+        });
+
+        if (user.twoFactorMethod !== "TOTP") {
+            res.status(400);
+            throw new Error("Authenticator app is not enabled");
+        }
+
+        const counter = totp.verifyCode(user.totpSecret, code, {
+            afterCounter: user.totpLastCounter,
+        });
+        if (counter === null) {
+            res.status(401);
+            throw new Error("Invalid authenticator code");
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+
+        await prisma.user.update({
+            where: { id: user.id },
+            data: { totpLastCounter: counter, recoveryCodes: hashes },
+        });
+
+        res.json({ recoveryCodes: codes });
     } catch (error) {
         next(error);
     }
@@ -481,10 +1280,23 @@ module.exports = {
     login,
     getProfile,
     updateProfile,
+    confirmEmailChange,
     forgotPassword,
     resetPassword,
     verifyOtp,
+    verifyEmail,
+    resendVerificationEmail,
+    unlockAccount,
     uploadProfilePicture,
+    refresh,
     logout,
     requestOtp,
+    redeemMagicLink,
+    getSessions,
+    deleteSession,
+    deleteOtherSessions,
+    setupTotp,
+    confirmTotp,
+    disableTotp,
+    regenerateRecoveryCodes,
 };
@@ -1,5 +1,8 @@
-const { PrismaClient } = require('@prisma/client');
+const crypto = require('crypto');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const logger = require('../utils/logger');
+const { liveProductFilter, isProductLive } = require('../utils/productVisibility');
+const { priceCart } = require('../utils/pricing');
 
 const prisma = new PrismaClient();
 
@@ -10,11 +13,12 @@ const prisma = new PrismaClient();
  */
 const getCart = async (req, res, next) => {
   try {
-    // Get user cart with items and product details
+    // Get user cart with items and product details (products that have been unpublished are left out)
     const cart = await prisma.cart.findUnique({
       where: { userId: req.user.id },
       include: {
         items: {
+          where: { product: liveProductFilter() },
           include: {
             product: {
               select: {
@@ -27,6 +31,16 @@ const getCart = async (req, res, next) => {
                 stock: true,
                 isPrime: true
               }
+            },
+            variant: {
+              select: {
+                id: true,
+                sku: true,
+                options: true,
+                price: true,
+                images: true,
+                stock: true
+              }
             }
           }
         }
@@ -48,15 +62,14 @@ const getCart = async (req, res, next) => {
         id: newCart.id,
         items: [],
         subtotal: 0,
+        discountTotal: 0,
+        total: 0,
         itemCount: 0
       });
     }
 
-    // Calculate subtotal and item count
-    const subtotal = cart.items.reduce(
-      (sum, item) => sum + (item.product.price * item.quantity), 
-      0
-    );
+    // Price each line with its discount, the same way the order will be charged
+    const { lines, subtotal, discountTotal, total } = priceCart(cart.items);
 
     const itemCount = cart.items.reduce(
       (sum, item) => sum + item.quantity, 
@@ -65,8 +78,10 @@ const getCart = async (req, res, next) => {
 
     res.json({
       id: cart.id,
-      items: cart.items,
+      items: cart.items.map((item, index) => ({ ...item, pricing: lines[index] })),
       subtotal,
+      discountTotal,
+      total,
       itemCount
     });
   } catch (error) {
@@ -81,7 +96,7 @@ const getCart = async (req, res, next) => {
  */
 const addToCart = async (req, res, next) => {
   try {
-    const { productId, quantity = 1 } = req.body;
+    const { productId, variantId, quantity = 1 } = req.body;
 
     // Validate input
     if (!productId) {
@@ -91,92 +106,88 @@ const addToCart = async (req, res, next) => {
 
     // Check if product exists and is in stock
     const product = await prisma.product.findUnique({
-      where: { id: productId }
+      where: { id: productId },
+      include: {
+        _count: {
+          select: { variants: { where: { deletedAt: null } } }
+        }
+      }
     });
 
-    if (!product) {
+    if (!product || !isProductLive(product)) {
       res.status(404);
       throw new Error('Product not found');
     }
 
-    if (product.stock < quantity) {
+    // Products with variants are bought as a specific variant
+    let variant = null;
+    if (variantId) {
+      variant = await prisma.productVariant.findUnique({
+        where: { id: variantId }
+      });
+
+      if (!variant || variant.productId !== productId || variant.deletedAt) {
+        res.status(404);
+        throw new Error('Variant not found');
+      }
+    } else if (product._count.variants > 0) {
+      res.status(400);
+      throw new Error('Please choose a variant of this product');
+    }
+
+    if ((variant || product).stock < quantity) {
       res.status(400);
       throw new Error('Product is out of stock');
     }
 
     // Get or create user cart
-    let cart = await prisma.cart.findUnique({
-      where: { userId: req.user.id }
+    const cart = await prisma.cart.upsert({
+      where: { userId: req.user.id },
+      update: {},
+      create: { userId: req.user.id }
     });
 
-    if (!cart) {
-      cart = await prisma.cart.create({
-        data: {
-          userId: req.user.id
-        }
-      });
-    }
-
-    // Check if item already exists in cart
-    const existingItem = await prisma.cartItem.findUnique({
-      where: {
-        cartId_productId: {
-          cartId: cart.id,
-          productId
-        }
-      }
-    });
+    // Add to the cart's line for this product and variant, or start one, in a
+    // single statement so requests at the same time can't start two lines
+    const conflictTarget = variant
+      ? Prisma.sql`("cartId", "productId", "variantId")`
+      : Prisma.sql`("cartId", "productId") WHERE "variantId" IS NULL`;
 
-    let cartItem;
+    const [{ id }] = await prisma.$queryRaw`
+      INSERT INTO "CartItem" ("id", "cartId", "productId", "variantId", "quantity", "updatedAt")
+      VALUES (${crypto.randomUUID()}, ${cart.id}, ${productId}, ${variant ? variant.id : null}, ${quantity}, NOW())
+      ON CONFLICT ${conflictTarget}
+      DO UPDATE SET "quantity" = "CartItem"."quantity" + EXCLUDED."quantity", "updatedAt" = NOW()
+      RETURNING "id"
+    `;
 
-    if (existingItem) {
-      // Update quantity if item already exists
-      cartItem = await prisma.cartItem.update({
-        where: {
-          id: existingItem.id
-        },
-        data: {
-          quantity: existingItem.quantity + quantity
-        },
-        include: {
-          product: {
-            select: {
-              id: true,
-              name: true,
-              slug: true,
-              price: true,
-              discount: true,
-              images: true,
-              stock: true,
-              isPrime: true
-            }
+    const cartItem = await prisma.cartItem.findUnique({
+      where: { id },
+      include: {
+        product: {
+          select: {
+            id: true,
+            name: true,
+            slug: true,
+            price: true,
+            discount: true,
+            images: true,
+            stock: true,
+            isPrime: true
           }
-        }
-      });
-    } else {
-      // Create new cart item
-      cartItem = await prisma.cartItem.create({
-        data: {
-          cartId: cart.id,
-          productId,
-          quantity
         },
-        include: {
-          product: {
-            select: {
-              id: true,
-              name: true,
-              slug: true,
-              price: true,
-              discount: true,
-              images: true,
-              stock: true,
-              isPrime: true
-            }
+        variant: {
+          select: {
+            id: true,
+            sku: true,
+            options: true,
+            price: true,
+            images: true,
+            stock: true
           }
         }
-      });
-    }
+      }
+    });
 
     res.status(201).json(cartItem);
   } catch (error) {
@@ -205,11 +216,12 @@ const updateCartItem = async (req, res, next) => {
       where: { id },
       include: {
         cart: true,
-        product: true
+        product: true,
+        variant: true
       }
     });
 
-    if (!cartItem) {
+    if (!cartItem || !isProductLive(cartItem.product)) {
       res.status(404);
       throw new Error('Cart item not found');
     }
@@ -220,8 +232,8 @@ const updateCartItem = async (req, res, next) => {
       throw new Error('Not authorized to update this cart');
     }
 
-    // Check if product is in stock
-    if (cartItem.product.stock < quantity) {
+    // Check if product (or the chosen variant) is in stock
+    if ((cartItem.variant || cartItem.product).stock < quantity) {
       res.status(400);
       throw new Error('Product is out of stock');
     }
@@ -242,6 +254,16 @@ const updateCartItem = async (req, res, next) => {
             stock: true,
             isPrime: true
           }
+        },
+        variant: {
+          select: {
+            id: true,
+            sku: true,
+            options: true,
+            price: true,
+            images: true,
+            stock: true
+          }
         }
       }
     });
@@ -0,0 +1,430 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const {
+  MOVEMENT_TYPES,
+  InsufficientStockError,
+  moveStock,
+  syncStockTotals
+} = require('../utils/inventory');
+
+const prisma = new PrismaClient();
+
+// Movement types that can be booked by hand; sales and returns come from orders
+const MANUAL_MOVEMENT_TYPES = ['RECEIPT', 'ADJUSTMENT'];
+
+/**
+ * Check the fields of a stock location, throwing on the first invalid one
+ * @param {Object} data - Location fields from the request body
+ * @param {Response} res - Express response object
+ * @param {boolean} [partial=false] - Whether fields may be left out (updates)
+ * @returns {Object} Prisma location data
+ */
+const locationData = (data, res, partial = false) => {
+  const { name, code, city, state, country, priority, isActive } = data;
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      res.status(400);
+      throw new Error('Name is required');
+    }
+  }
+
+  if (!partial || code !== undefined) {
+    if (typeof code !== 'string' || !code.trim()) {
+      res.status(400);
+      throw new Error('Code is required');
+    }
+  }
+
+  if (priority !== undefined && !Number.isInteger(priority)) {
+    res.status(400);
+    throw new Error('Priority must be a whole number');
+  }
+
+  return {
+    name: name !== undefined ? name.trim() : undefined,
+    code: code !== undefined ? code.trim().toUpperCase() : undefined,
+    city,
+    state,
+    country,
+    priority,
+    isActive: isActive !== undefined ? Boolean(isActive) : undefined
+  };
+};
+
+/**
+ * Find the product (and variant) a stock change is for, throwing if it
+ * doesn't exist. Products with variants hold stock per variant.
+ * @param {string} productId - Product ID
+ * @param {string} [variantId] - Variant ID
+ * @param {Response} res - Express response object
+ * @returns {Promise<Object>} Product with its variant IDs
+ */
+const findStockItem = async (productId, variantId, res) => {
+  const product = productId && await prisma.product.findUnique({
+    where: { id: productId },
+    include: { variants: { where: { deletedAt: null }, select: { id: true } } }
+  });
+
+  if (!product) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+
+  if (variantId && !product.variants.some((variant) => variant.id === variantId)) {
+    res.status(404);
+    throw new Error('Variant not found');
+  }
+
+  if (!variantId && product.variants.length > 0) {
+    res.status(400);
+    throw new Error('This product has variants; please choose one');
+  }
+
+  return product;
+};
+
+/**
+ * Find an active stock location, throwing if there isn't one
+ * @param {string} id - Location ID
+ * @param {Response} res - Express response object
+ * @returns {Promise<Object>} Stock location
+ */
+const findActiveLocation = async (id, res) => {
+  const location = id && await prisma.stockLocation.findUnique({
+    where: { id }
+  });
+
+  if (!location || !location.isActive) {
+    res.status(404);
+    throw new Error('Stock location not found');
+  }
+
+  return location;
+};
+
+/**
+ * Get all stock locations
+ * @route GET /api/inventory/locations
+ * @access Private
+ */
+const getLocations = async (req, res, next) => {
+  try {
+    const locations = await prisma.stockLocation.findMany({
+      orderBy: [
+        { priority: 'asc' },
+        { name: 'asc' }
+      ]
+    });
+
+    res.json(locations);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a stock location
+ * @route POST /api/inventory/locations
+ * @access Private
+ */
+const createLocation = async (req, res, next) => {
+  try {
+    const data = locationData(req.body, res);
+
+    const codeTaken = await prisma.stockLocation.findUnique({
+      where: { code: data.code }
+    });
+
+    if (codeTaken) {
+      res.status(400);
+      throw new Error('Code is already in use');
+    }
+
+    const location = await prisma.stockLocation.create({ data });
+
+    logger.info(`Stock location ${location.code} created`);
+    res.status(201).json(location);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a stock location. Deactivated locations keep their stock, but it
+ * no longer counts towards product stock, ships orders or receives stock.
+ * @route PUT /api/inventory/locations/:id
+ * @access Private
+ */
+const updateLocation = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const data = locationData(req.body, res, true);
+
+    const locationExists = await prisma.stockLocation.findUnique({
+      where: { id }
+    });
+
+    if (!locationExists) {
+      res.status(404);
+      throw new Error('Stock location not found');
+    }
+
+    if (data.code && data.code !== locationExists.code) {
+      const codeTaken = await prisma.stockLocation.findUnique({
+        where: { code: data.code }
+      });
+
+      if (codeTaken) {
+        res.status(400);
+        throw new Error('Code is already in use');
+      }
+    }
+
+    const location = await prisma.stockLocation.update({
+      where: { id },
+      data
+    });
+
+    // Stock at inactive locations doesn't count towards product totals
+    if (location.isActive !== locationExists.isActive) {
+      const levels = await prisma.stockLevel.findMany({
+        where: { locationId: id },
+        distinct: ['productId'],
+        select: { productId: true }
+      });
+
+      for (const { productId } of levels) {
+        await syncStockTotals(productId);
+      }
+
+      logger.info(`Stock location ${location.code} ${location.isActive ? 'activated' : 'deactivated'}, ${levels.length} product total(s) updated`);
+    }
+
+    res.json(location);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a product's stock at each location, per variant for products with variants
+ * @route GET /api/inventory/products/:productId
+ * @access Private
+ */
+const getProductStock = async (req, res, next) => {
+  try {
+    const { productId } = req.params;
+
+    const product = await prisma.product.findUnique({
+      where: { id: productId },
+      select: {
+        id: true,
+        name: true,
+        stock: true,
+        variants: {
+          where: { deletedAt: null },
+          select: { id: true, sku: true, options: true, stock: true },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    if (!product) {
+      res.status(404);
+      throw new Error('Product not found');
+    }
+
+    const levels = await prisma.stockLevel.findMany({
+      where: { productId },
+      include: {
+        location: {
+          select: { id: true, name: true, code: true, isActive: true }
+        }
+      },
+      orderBy: { location: { priority: 'asc' } }
+    });
+
+    res.json({ ...product, levels });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Book a stock change at a location: a receipt of new stock, or an
+ * adjustment (negative to take stock away) after a count, damage or loss
+ * @route POST /api/inventory/adjustments
+ * @access Private
+ */
+const adjustStock = async (req, res, next) => {
+  try {
+    const { locationId, productId, variantId, quantity, type = 'ADJUSTMENT', reference, note } = req.body;
+
+    if (!MANUAL_MOVEMENT_TYPES.includes(type)) {
+      res.status(400);
+      throw new Error(`Type must be one of ${MANUAL_MOVEMENT_TYPES.join(', ')}`);
+    }
+
+    if (!Number.isInteger(quantity) || quantity === 0) {
+      res.status(400);
+      throw new Error('Quantity must be a whole number other than 0');
+    }
+
+    if (type === 'RECEIPT' && quantity < 0) {
+      res.status(400);
+      throw new Error('Receipts must add stock');
+    }
+
+    await findActiveLocation(locationId, res);
+    await findStockItem(productId, variantId, res);
+
+    const movement = await prisma.$transaction(async (prisma) => {
+      const created = await moveStock({
+        locationId,
+        productId,
+        variantId: variantId || null,
+        quantity,
+        type,
+        reference,
+        note,
+        createdById: req.user.id
+      }, prisma);
+
+      await syncStockTotals(productId, prisma);
+
+      return created;
+    });
+
+    logger.info(`Stock ${type.toLowerCase()} of ${quantity} for product ${productId} at location ${locationId}`);
+    res.status(201).json(movement);
+  } catch (error) {
+    if (error instanceof InsufficientStockError) {
+      res.status(400);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Move stock from one location to another. Both sides are recorded as
+ * transfers sharing a reference.
+ * @route POST /api/inventory/transfers
+ * @access Private
+ */
+const transferStock = async (req, res, next) => {
+  try {
+    const { fromLocationId, toLocationId, productId, variantId, quantity, note } = req.body;
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      res.status(400);
+      throw new Error('Quantity must be a whole number of at least 1');
+    }
+
+    if (fromLocationId === toLocationId) {
+      res.status(400);
+      throw new Error('Stock must be transferred to a different location');
+    }
+
+    await findActiveLocation(fromLocationId, res);
+    await findActiveLocation(toLocationId, res);
+    await findStockItem(productId, variantId, res);
+
+    const reference = req.body.reference || `TRANSFER-${crypto.randomUUID()}`;
+    const movement = {
+      productId,
+      variantId: variantId || null,
+      type: 'TRANSFER',
+      reference,
+      note,
+      createdById: req.user.id
+    };
+
+    const movements = await prisma.$transaction(async (prisma) => {
+      const out = await moveStock({ ...movement, locationId: fromLocationId, quantity: -quantity }, prisma);
+      const received = await moveStock({ ...movement, locationId: toLocationId, quantity }, prisma);
+
+      return [out, received];
+    });
+
+    logger.info(`Transferred ${quantity} of product ${productId} from location ${fromLocationId} to ${toLocationId}`);
+    res.status(201).json({ reference, movements });
+  } catch (error) {
+    if (error instanceof InsufficientStockError) {
+      res.status(400);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Get the stock ledger, newest first, filtered by location, product,
+ * variant, order, type or date (from/to)
+ * @route GET /api/inventory/movements
+ * @access Private
+ */
+const getMovements = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+    const { locationId, productId, variantId, orderId, type, from, to } = req.query;
+
+    if (type && !MOVEMENT_TYPES.includes(type)) {
+      res.status(400);
+      throw new Error(`Type must be one of ${MOVEMENT_TYPES.join(', ')}`);
+    }
+
+    const createdAt = {};
+    if (from && !isNaN(new Date(from).getTime())) {
+      createdAt.gte = new Date(from);
+    }
+    if (to && !isNaN(new Date(to).getTime())) {
+      createdAt.lte = new Date(to);
+    }
+
+    const where = {
+      ...(locationId && { locationId }),
+      ...(productId && { productId }),
+      ...(variantId && { variantId }),
+      ...(orderId && { orderId }),
+      ...(type && { type }),
+      ...(Object.keys(createdAt).length > 0 && { createdAt })
+    };
+
+    const [movements, total] = await Promise.all([
+      prisma.stockMovement.findMany({
+        where,
+        include: {
+          location: { select: { id: true, name: true, code: true } },
+          product: { select: { id: true, name: true } },
+          variant: { select: { id: true, sku: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.stockMovement.count({ where })
+    ]);
+
+    res.json({
+      movements,
+      page,
+      pages: Math.ceil(total / limit),
+      total
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getLocations,
+  createLocation,
+  updateLocation,
+  getProductStock,
+  adjustStock,
+  transferStock,
+  getMovements
+};
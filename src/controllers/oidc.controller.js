@@ -0,0 +1,269 @@
+const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const { generators } = require("openid-client");
+const { PrismaClient } = require("@prisma/client");
+const logger = require("../utils/logger");
+const emailService = require("../utils/email/emailService");
+const loginGuard = require("../utils/auth/loginGuard");
+const { hashToken, hashOtp } = require("../utils/auth/tokenHash");
+const {
+    createUserAccount,
+    normalizeEmail,
+} = require("../utils/auth/accountService");
+const { getProviderClient } = require("../utils/auth/oidcProviders");
+
+const prisma = new PrismaClient();
+
+/**
+ * Start sign-in with an OpenID Connect provider
+ * @route GET /api/auth/oidc/:provider
+ * @access Public
+ */
+const startOidcLogin = async (req, res, next) => {
+    try {
+        const { provider } = req.params;
+
+        const oidc = await getProviderClient(provider);
+        if (!oidc) {
+            res.status(404);
+            throw new Error("Unknown sign-in provider");
+        }
+
+        const state = generators.state();
+        const nonce = generators.nonce();
+        const codeVerifier = generators.codeVerifier();
+
+        // Clear out abandoned sign-ins before starting a new one
+        await prisma.oAuthState.deleteMany({
+            where: { expiresAt: { lt: new Date() } },
+        });
+
+        await prisma.oAuthState.create({
+            data: {
+                stateHash: hashToken(state),
+                provider,
+                nonce,
+                codeVerifier,
+                expiresAt: new Date(Date.now() + 10 * 60 * 1000), // 10 minutes
+            },
+        });
+
+        const url = oidc.client.authorizationUrl({
+            scope: oidc.config.scopes,
+            state,
+            nonce,
+            code_challenge: generators.codeChallenge(codeVerifier),
+            code_challenge_method: "S256",
+        });
+
+        res.redirect(url);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Finish sign-in with an OpenID Connect provider and redirect back to the
+ * client with a challenge for the account's second factor
+ * @route GET /api/auth/oidc/:provider/callback
+ * @access Public
+ */
+const oidcCallback = async (req, res, next) => {
+    try {
+        const { provider } = req.params;
+
+        const oidc = await getProviderClient(provider);
+        if (!oidc) {
+            res.status(404);
+            throw new Error("Unknown sign-in provider");
+        }
+
+        const params = oidc.client.callbackParams(req);
+
+        // Each state can only be redeemed once
+        const pending = params.state
+            ? await prisma.oAuthState.findUnique({
+                  where: { stateHash: hashToken(params.state) },
+              })
+            : null;
+
+        if (pending) {
+            await prisma.oAuthState.delete({ where: { id: pending.id } });
+        }
+
+        if (
+            !pending ||
+            pending.provider !== provider ||
+            pending.expiresAt < new Date()
+        ) {
+            res.status(400);
+            throw new Error("Invalid or expired sign-in request");
+        }
+
+        let claims;
+        try {
+            const tokenSet = await oidc.client.callback(
+                oidc.config.redirectUri,
+                params,
+                {
+                    state: params.state,
+                    nonce: pending.nonce,
+                    code_verifier: pending.codeVerifier,
+                }
+            );
+
+            claims = tokenSet.claims();
+
+            // Some providers only put the email in the userinfo response
+            if (!claims.email && tokenSet.access_token) {
+                claims = { ...claims, ...(await oidc.client.userinfo(tokenSet)) };
+            }
+        } catch (oidcError) {
+            logger.error(`Sign-in with ${provider} failed: ${oidcError.message}`);
+            res.status(401);
+            throw new Error("Sign-in with provider failed");
+        }
+
+        const user = await findOrCreateUser(provider, claims, res);
+
+        // Refuse sign-in while the account is locked or cooling down
+        loginGuard.assertCanAttempt(user, res);
+
+        // The provider only stands in for the password: the account's second
+        // factor is still checked by verify-otp, which takes the challenge
+        // token in place of the password
+        const challenge = await startSecondFactor(user);
+
+        logger.info(
+            `User ${user.id} passed ${provider} sign-in, second factor pending`
+        );
+
+        // The challenge goes in the fragment so it never reaches server logs
+        const fragment = new URLSearchParams({
+            challengeToken: challenge.token,
+            method: challenge.method,
+            userId: user.id,
+        });
+        res.redirect(`${process.env.CLIENT_URL}/auth/callback#${fragment}`);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Start the second-factor step for a provider sign-in: store a one-time
+ * challenge token and, for emailed codes, send the OTP just like login does
+ * @param {Object} user - User object
+ * @returns {Promise<{ token: string, method: string }>} Raw challenge token and the second-factor method
+ */
+const startSecondFactor = async (user) => {
+    const token = crypto.randomBytes(32).toString("hex");
+    const data = {
+        loginChallengeHash: hashToken(token),
+        loginChallengeExpiry: new Date(Date.now() + 10 * 60 * 1000), // 10 minutes
+    };
+
+    // Authenticator app users enter a TOTP code instead of an emailed one
+    if (user.twoFactorMethod === "TOTP") {
+        await prisma.user.update({ where: { id: user.id }, data });
+        return { token, method: "TOTP" };
+    }
+
+    const otp = crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+
+    await prisma.user.update({
+        where: { id: user.id },
+        data: {
+            ...data,
+            otpHash: hashOtp(otp),
+            otpExpiry: new Date(Date.now() + 10 * 60 * 1000),
+            otpAttempts: 0,
+        },
+    });
+
+    await emailService.sendOtpEmail(user, otp);
+
+    return { token, method: "EMAIL" };
+};
+
+/**
+ * Find the user behind a provider identity, linking by verified email or
+ * creating a new account when there is no match
+ * @param {string} provider - Provider name
+ * @param {Object} claims - ID token / userinfo claims
+ * @param {Response} res - Express response object
+ * @returns {Promise<Object>} User object
+ */
+const findOrCreateUser = async (provider, claims, res) => {
+    const identity = await prisma.userIdentity.findUnique({
+        where: {
+            provider_subject: {
+                provider,
+                subject: claims.sub,
+            },
+        },
+        include: { user: true },
+    });
+
+    if (identity) {
+        return identity.user;
+    }
+
+    // Only a verified email is trusted to link to (or create) an account
+    const emailVerified =
+        claims.email_verified === true || claims.email_verified === "true";
+
+    if (!claims.email || !emailVerified) {
+        res.status(400);
+        throw new Error("Sign-in provider did not return a verified email address");
+    }
+
+    const email = normalizeEmail(claims.email);
+    let user = await prisma.user.findUnique({ where: { email } });
+
+    // Anyone can register an address they don't own, so only an account
+    // whose owner has proved the address is linked; otherwise whoever
+    // registered it would keep a way into the provider user's account
+    if (user && !user.emailVerified) {
+        res.status(400);
+        throw new Error(
+            "An account with this email address exists but hasn't been verified. Verify it or reset its password, then sign in again."
+        );
+    }
+
+    if (!user) {
+        // Accounts created this way get an unusable random password; a real one
+        // can be set later through the forgot-password flow
+        const salt = await bcrypt.genSalt(10);
+        const password = await bcrypt.hash(
+            crypto.randomBytes(32).toString("hex"),
+            salt
+        );
+
+        user = await createUserAccount({
+            name: claims.name || email.split("@")[0],
+            email,
+            emailVerified: true,
+            password,
+            profilePicture: claims.picture,
+        });
+
+        logger.info(`User ${user.id} created from ${provider} sign-in`);
+    }
+
+    await prisma.userIdentity.create({
+        data: {
+            userId: user.id,
+            provider,
+            subject: claims.sub,
+            email,
+        },
+    });
+
+    return user;
+};
+
+module.exports = {
+    startOidcLogin,
+    oidcCallback,
+};
@@ -1,9 +1,21 @@
 const { PrismaClient } = require('@prisma/client');
 const logger = require('../utils/logger');
 const emailService = require('../utils/email/emailService');
+const { requestHasPermission } = require('../utils/auth/permissions');
+const { liveProductFilter } = require('../utils/productVisibility');
+const { priceCart } = require('../utils/pricing');
+const {
+  InsufficientStockError,
+  moveStock,
+  syncStockTotals,
+  chooseFulfilmentLocations
+} = require('../utils/inventory');
 
 const prisma = new PrismaClient();
 
+// Order statuses whose items are back in stock
+const RESTOCK_STATUSES = ['CANCELLED', 'RETURNED'];
+
 /**
  * Create a new order
  * @route POST /api/orders
@@ -19,13 +31,21 @@ const createOrder = async (req, res, next) => {
       notes
     } = req.body;
 
-    // Get user cart
+    // Optionally require a verified email address before ordering
+    if (process.env.REQUIRE_VERIFIED_EMAIL_FOR_ORDERS === 'true' && !req.user.emailVerified) {
+      res.status(403);
+      throw new Error('Please verify your email address before placing an order');
+    }
+
+    // Get user cart (products that have been unpublished can't be ordered and stay in the cart)
     const cart = await prisma.cart.findUnique({
       where: { userId: req.user.id },
       include: {
         items: {
+          where: { product: liveProductFilter() },
           include: {
-            product: true
+            product: true,
+            variant: true
           }
         }
       }
@@ -36,26 +56,46 @@ const createOrder = async (req, res, next) => {
       throw new Error('No items in cart');
     }
 
-    // Check if all items are in stock
+    // Check if all items (or their chosen variants) are in stock
     for (const item of cart.items) {
-      if (item.product.stock < item.quantity) {
+      if ((item.variant || item.product).stock < item.quantity) {
         res.status(400);
         throw new Error(`${item.product.name} is out of stock`);
       }
     }
 
-    // Calculate total
-    const total = cart.items.reduce(
-      (sum, item) => sum + (item.product.price * item.quantity),
-      0
-    );
+    // Price the items with their discounts, exactly as the cart showed them
+    const { lines, subtotal, discountTotal, total } = priceCart(cart.items);
+
+    // Ship from the warehouse closest to the customer that has the items
+    const shippingAddress = shippingAddressId
+      ? await prisma.address.findUnique({ where: { id: shippingAddressId } })
+      : null;
 
     // Create order
     const order = await prisma.$transaction(async (prisma) => {
+      const locationIds = await chooseFulfilmentLocations(
+        cart.items.map((item) => ({
+          productId: item.product.id,
+          variantId: item.variant ? item.variant.id : null,
+          quantity: item.quantity
+        })),
+        shippingAddress,
+        prisma
+      );
+
+      const unavailable = cart.items.find((item, index) => !locationIds[index]);
+      if (unavailable) {
+        res.status(400);
+        throw new Error(`${unavailable.product.name} is out of stock`);
+      }
+
       // Create order
       const newOrder = await prisma.order.create({
         data: {
           userId: req.user.id,
+          subtotal,
+          discountTotal,
           total,
           shippingAddressId,
           billingAddressId,
@@ -68,29 +108,42 @@ const createOrder = async (req, res, next) => {
       });
 
       // Create order items
-      for (const item of cart.items) {
+      for (const [index, item] of cart.items.entries()) {
         await prisma.orderItem.create({
           data: {
             orderId: newOrder.id,
             productId: item.product.id,
+            variantId: item.variant ? item.variant.id : null,
             name: item.product.name,
-            price: item.product.price,
-            quantity: item.quantity
+            sku: item.variant ? item.variant.sku : null,
+            options: item.variant ? item.variant.options : undefined,
+            price: lines[index].unitPrice,
+            listPrice: lines[index].listPrice,
+            discount: lines[index].discount,
+            quantity: item.quantity,
+            locationId: locationIds[index]
           }
         });
 
-        // Update product stock
-        await prisma.product.update({
-          where: { id: item.product.id },
-          data: {
-            stock: item.product.stock - item.quantity
-          }
-        });
+        // Take the stock from the chosen location
+        await moveStock({
+          locationId: locationIds[index],
+          productId: item.product.id,
+          variantId: item.variant ? item.variant.id : null,
+          quantity: -item.quantity,
+          type: 'SALE',
+          orderId: newOrder.id,
+          createdById: req.user.id
+        }, prisma);
       }
 
-      // Clear cart
+      for (const productId of new Set(cart.items.map((item) => item.product.id))) {
+        await syncStockTotals(productId, prisma);
+      }
+
+      // Clear the ordered items from the cart
       await prisma.cartItem.deleteMany({
-        where: { cartId: cart.id }
+        where: { id: { in: cart.items.map((item) => item.id) } }
       });
 
       return newOrder;
@@ -125,6 +178,11 @@ const createOrder = async (req, res, next) => {
 
     res.status(201).json(completeOrder);
   } catch (error) {
+    // Another order took the last of the stock while this one was placed
+    if (error instanceof InsufficientStockError) {
+      res.status(400);
+      error.message = 'Some items are no longer in stock';
+    }
     next(error);
   }
 };
@@ -187,8 +245,8 @@ const getOrderById = async (req, res, next) => {
       throw new Error('Order not found');
     }
 
-    // Check if order belongs to user or user is admin
-    if (order.userId !== req.user.id && req.user.role !== 'ADMIN') {
+    // Check if order belongs to user or user is staff allowed to read orders
+    if (order.userId !== req.user.id && !requestHasPermission(req, 'orders:read')) {
       res.status(403);
       throw new Error('Not authorized to access this order');
     }
@@ -226,12 +284,42 @@ const updateOrderStatus = async (req, res, next) => {
       throw new Error('Order not found');
     }
 
-    // Update order status
-    const updatedOrder = await prisma.order.update({
-      where: { id },
-      data: { status }
+    // Cancelled and returned orders put their stock back where it shipped from
+    const restock = RESTOCK_STATUSES.includes(status) && !RESTOCK_STATUSES.includes(order.status);
+
+    const updatedOrder = await prisma.$transaction(async (prisma) => {
+      if (restock) {
+        const items = await prisma.orderItem.findMany({
+          where: { orderId: id, locationId: { not: null } }
+        });
+
+        for (const item of items) {
+          await moveStock({
+            locationId: item.locationId,
+            productId: item.productId,
+            variantId: item.variantId,
+            quantity: item.quantity,
+            type: 'RETURN',
+            orderId: id,
+            createdById: req.user.id
+          }, prisma);
+        }
+
+        for (const productId of new Set(items.map((item) => item.productId))) {
+          await syncStockTotals(productId, prisma);
+        }
+      }
+
+      return prisma.order.update({
+        where: { id },
+        data: { status }
+      });
     });
 
+    if (restock) {
+      logger.info(`Stock for order ${id} returned to its locations`);
+    }
+
     res.json(updatedOrder);
   } catch (error) {
     next(error);
@@ -278,7 +366,7 @@ const updatePaymentStatus = async (req, res, next) => {
 };
 
 /**
- * Get all orders (admin only)
+ * Get all orders (staff only)
  * @route GET /api/orders/admin
  * @access Private
  */
@@ -0,0 +1,378 @@
+const {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse,
+} = require("@simplewebauthn/server");
+const { isoBase64URL } = require("@simplewebauthn/server/helpers");
+const { PrismaClient } = require("@prisma/client");
+const logger = require("../utils/logger");
+const sessionService = require("../utils/auth/sessionService");
+const loginGuard = require("../utils/auth/loginGuard");
+
+const prisma = new PrismaClient();
+
+const RP_NAME = process.env.WEBAUTHN_RP_NAME || "Amazon Clone";
+const CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Get the relying party ID and expected origin for WebAuthn ceremonies
+ * @returns {{ rpID: string, origin: string }} Relying party settings
+ */
+const getRelyingParty = () => {
+    const origin = process.env.WEBAUTHN_ORIGIN || process.env.CLIENT_URL;
+    const rpID = process.env.WEBAUTHN_RP_ID || new URL(origin).hostname;
+
+    return { rpID, origin };
+};
+
+/**
+ * Store a challenge issued to the browser
+ * @param {string} challenge - Challenge from the generated options
+ * @param {string} type - REGISTRATION or AUTHENTICATION
+ * @param {string} [userId] - User the challenge was issued to
+ * @returns {Promise<void>}
+ */
+const saveChallenge = async (challenge, type, userId) => {
+    // Clear out abandoned ceremonies before starting a new one
+    await prisma.webAuthnChallenge.deleteMany({
+        where: { expiresAt: { lt: new Date() } },
+    });
+
+    await prisma.webAuthnChallenge.create({
+        data: {
+            challenge,
+            type,
+            userId,
+            expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS),
+        },
+    });
+};
+
+/**
+ * Take the challenge the browser signed out of storage so it can't be replayed
+ * @param {Object} credential - Credential JSON sent by the browser
+ * @param {string} type - REGISTRATION or AUTHENTICATION
+ * @returns {Promise<Object|null>} Stored challenge, or null if unknown or expired
+ */
+const consumeChallenge = async (credential, type) => {
+    let challenge;
+    try {
+        const clientData = JSON.parse(
+            isoBase64URL.toString(credential.response.clientDataJSON)
+        );
+        challenge = clientData.challenge;
+    } catch (error) {
+        return null;
+    }
+
+    const stored = await prisma.webAuthnChallenge.findUnique({
+        where: { challenge },
+    });
+
+    if (!stored) {
+        return null;
+    }
+
+    await prisma.webAuthnChallenge.delete({ where: { id: stored.id } });
+
+    if (stored.type !== type || stored.expiresAt < new Date()) {
+        return null;
+    }
+
+    return stored;
+};
+
+/**
+ * Get options for registering a new passkey
+ * @route POST /api/auth/passkeys/register/options
+ * @access Private
+ */
+const getRegistrationOptions = async (req, res, next) => {
+    try {
+        const { rpID } = getRelyingParty();
+
+        const passkeys = await prisma.passkey.findMany({
+            where: { userId: req.user.id },
+        });
+
+        const options = await generateRegistrationOptions({
+            rpName: RP_NAME,
+            rpID,
+            userID: req.user.id,
+            userName: req.user.email,
+            userDisplayName: req.user.name,
+            attestationType: "none",
+            // Don't let the same authenticator be registered twice
+            excludeCredentials: passkeys.map((passkey) => ({
+                id: isoBase64URL.toBuffer(passkey.credentialId),
+                type: "public-key",
+                transports: passkey.transports,
+            })),
+            // Sign-in only offers passkeys the authenticator can find itself
+            authenticatorSelection: {
+                residentKey: "required",
+                userVerification: "preferred",
+            },
+        });
+
+        await saveChallenge(options.challenge, "REGISTRATION", req.user.id);
+
+        res.json(options);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Verify and save a newly registered passkey
+ * @route POST /api/auth/passkeys/register/verify
+ * @access Private
+ */
+const verifyRegistration = async (req, res, next) => {
+    try {
+        const { response, name } = req.body;
+        if (!response) {
+            res.status(400);
+            throw new Error("Registration response is required");
+        }
+
+        const challenge = await consumeChallenge(response, "REGISTRATION");
+        if (!challenge || challenge.userId !== req.user.id) {
+            res.status(400);
+            throw new Error("Invalid or expired registration challenge");
+        }
+
+        const { rpID, origin } = getRelyingParty();
+
+        let verification;
+        try {
+            verification = await verifyRegistrationResponse({
+                response,
+                expectedChallenge: challenge.challenge,
+                expectedOrigin: origin,
+                expectedRPID: rpID,
+            });
+        } catch (verifyError) {
+            logger.error(`Passkey registration failed: ${verifyError.message}`);
+            verification = { verified: false };
+        }
+
+        if (!verification.verified) {
+            res.status(400);
+            throw new Error("Passkey registration could not be verified");
+        }
+
+        const {
+            credentialID,
+            credentialPublicKey,
+            counter,
+            credentialDeviceType,
+            credentialBackedUp,
+        } = verification.registrationInfo;
+
+        const passkey = await prisma.passkey.create({
+            data: {
+                userId: req.user.id,
+                credentialId: isoBase64URL.fromBuffer(credentialID),
+                publicKey: Buffer.from(credentialPublicKey),
+                counter,
+                transports: response.response.transports || [],
+                deviceType: credentialDeviceType,
+                backedUp: credentialBackedUp,
+                name,
+            },
+            select: {
+                id: true,
+                name: true,
+                deviceType: true,
+                backedUp: true,
+                createdAt: true,
+            },
+        });
+
+        logger.info(`Passkey ${passkey.id} registered for user ${req.user.id}`);
+
+        res.status(201).json(passkey);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List the current user's passkeys
+ * @route GET /api/auth/passkeys
+ * @access Private
+ */
+const getPasskeys = async (req, res, next) => {
+    try {
+        const passkeys = await prisma.passkey.findMany({
+            where: { userId: req.user.id },
+            select: {
+                id: true,
+                name: true,
+                deviceType: true,
+                backedUp: true,
+                lastUsedAt: true,
+                createdAt: true,
+            },
+            orderBy: { createdAt: "desc" },
+        });
+
+        res.json(passkeys);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Remove one of the current user's passkeys
+ * @route DELETE /api/auth/passkeys/:id
+ * @access Private
+ */
+const deletePasskey = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const passkey = await prisma.passkey.findUnique({
+            where: { id },
+        });
+
+        if (!passkey || passkey.userId !== req.user.id) {
+            res.status(404);
+            throw new Error("Passkey not found");
+        }
+
+        await prisma.passkey.delete({
+            where: { id },
+        });
+
+        logger.info(`Passkey ${id} removed by user ${req.user.id}`);
+
+        res.json({ message: "Passkey removed" });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get options for signing in with a passkey. The browser offers any passkey
+ * it holds for this site; no account is named, so the response can't reveal
+ * which emails have an account or passkeys.
+ * @route POST /api/auth/passkeys/login/options
+ * @access Public
+ */
+const getLoginOptions = async (req, res, next) => {
+    try {
+        const { rpID } = getRelyingParty();
+
+        const options = await generateAuthenticationOptions({
+            rpID,
+            userVerification: "preferred",
+        });
+
+        await saveChallenge(options.challenge, "AUTHENTICATION");
+
+        res.json(options);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Sign in with a passkey
+ * @route POST /api/auth/passkeys/login/verify
+ * @access Public
+ */
+const verifyLogin = async (req, res, next) => {
+    try {
+        const { response } = req.body;
+        if (!response) {
+            res.status(400);
+            throw new Error("Authentication response is required");
+        }
+
+        const challenge = await consumeChallenge(response, "AUTHENTICATION");
+        if (!challenge) {
+            res.status(400);
+            throw new Error("Invalid or expired login challenge");
+        }
+
+        const passkey = await prisma.passkey.findUnique({
+            where: { credentialId: response.id },
+            include: { user: true },
+        });
+
+        if (!passkey) {
+            res.status(401);
+            throw new Error("Passkey not recognised");
+        }
+
+        loginGuard.assertCanAttempt(passkey.user, res);
+
+        const { rpID, origin } = getRelyingParty();
+
+        let verification;
+        try {
+            verification = await verifyAuthenticationResponse({
+                response,
+                expectedChallenge: challenge.challenge,
+                expectedOrigin: origin,
+                expectedRPID: rpID,
+                authenticator: {
+                    credentialID: isoBase64URL.toBuffer(passkey.credentialId),
+                    credentialPublicKey: new Uint8Array(passkey.publicKey),
+                    counter: passkey.counter,
+                    transports: passkey.transports,
+                },
+            });
+        } catch (verifyError) {
+            logger.error(`Passkey login failed: ${verifyError.message}`);
+            verification = { verified: false };
+        }
+
+        if (!verification.verified) {
+            await loginGuard.recordFailedLogin(passkey.user);
+            res.status(401);
+            throw new Error("Passkey could not be verified");
+        }
+
+        await prisma.passkey.update({
+            where: { id: passkey.id },
+            data: {
+                counter: verification.authenticationInfo.newCounter,
+                lastUsedAt: new Date(),
+            },
+        });
+
+        await prisma.user.update({
+            where: { id: passkey.user.id },
+            data: loginGuard.resetAttemptsData(),
+        });
+
+        // Start a session and issue tokens
+        const { accessToken, refreshToken } =
+            await sessionService.createSession(passkey.user.id, req);
+
+        res.json({
+            user: {
+                id: passkey.user.id,
+                name: passkey.user.name,
+                email: passkey.user.email,
+            },
+            token: accessToken,
+            refreshToken,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getRegistrationOptions,
+    verifyRegistration,
+    getPasskeys,
+    deletePasskey,
+    getLoginOptions,
+    verifyLogin,
+};
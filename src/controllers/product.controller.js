@@ -1,10 +1,31 @@
 const { PrismaClient } = require('@prisma/client');
 const logger = require('../utils/logger');
+const {
+  searchProducts,
+  getSearchHighlights,
+  getSuggestions,
+  getSpellingCorrection
+} = require('../utils/productSearch');
+const { parseFacetFilters, buildProductFilter, getFacetCounts } = require('../utils/productFacets');
+const {
+  PRODUCT_STATUSES,
+  liveProductFilter,
+  isProductLive,
+  parseLifecycleFields
+} = require('../utils/productVisibility');
+const { addPriceInfo, recordPriceChange } = require('../utils/productPricing');
+const { priceLine } = require('../utils/pricing');
+const {
+  InsufficientStockError,
+  setTotalStock,
+  syncStockTotals,
+  writeOffVariantStock
+} = require('../utils/inventory');
 
 const prisma = new PrismaClient();
 
 /**
- * Get all products with pagination, filtering, and sorting
+ * Get all products with pagination, filtering, sorting, full-text search and facet counts
  * @route GET /api/products
  * @access Public
  */
@@ -13,70 +34,149 @@ const getProducts = async (req, res, next) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
-    const search = req.query.search || '';
-    const category = req.query.category;
-    const minPrice = parseFloat(req.query.minPrice) || 0;
-    const maxPrice = parseFloat(req.query.maxPrice) || Number.MAX_SAFE_INTEGER;
-    const sortBy = req.query.sortBy || 'createdAt';
+    const search = (req.query.search || '').trim();
+    const sortBy = req.query.sortBy || (search ? 'relevance' : 'createdAt');
     const sortOrder = req.query.sortOrder?.toLowerCase() === 'asc' ? 'asc' : 'desc';
 
+    // Customers only see live products; staff previews can filter by status instead
+    const baseConditions = [];
+    if (!req.preview) {
+      baseConditions.push(liveProductFilter());
+    } else if (req.query.status) {
+      const statuses = String(req.query.status).split(',').filter((status) => PRODUCT_STATUSES.includes(status));
+      baseConditions.push({ status: { in: statuses } });
+    }
+
+    // Full-text search narrows the results down to the best matching products
+    let searchRanks;
+    let searchTotal;
+    if (search) {
+      ({ ranks: searchRanks, total: searchTotal } = await searchProducts(search, !req.preview));
+      baseConditions.push({ id: { in: [...searchRanks.keys()] } });
+    }
+
+    // Category, brand, color, price, rating, Prime and stock filters (multi-select as e.g. brand=Sony,Bose)
+    const facetFilters = parseFacetFilters(req.query);
+    const filtered = Object.values(facetFilters).some(Boolean) || (req.preview && req.query.status);
+
     // Build filter object
-    const filter = {
-      AND: [
-        {
-          OR: [
-            { name: { contains: search, mode: 'insensitive' } },
-            { description: { contains: search, mode: 'insensitive' } }
-          ]
-        },
-        { price: { gte: minPrice, lte: maxPrice } }
-      ]
+    const filter = buildProductFilter(baseConditions, facetFilters);
+
+    const include = {
+      category: {
+        select: {
+          id: true,
+          name: true,
+          slug: true
+        }
+      }
     };
 
-    // Add category filter if provided
-    if (category) {
-      filter.AND.push({
-        category: {
-          slug: category
+    let products;
+    let total;
+
+    if (sortBy === 'relevance' && searchRanks) {
+      // Relevance comes from the search ranks, so sort and page the matching IDs here
+      const matching = await prisma.product.findMany({
+        where: filter,
+        select: { id: true }
+      });
+
+      const pageIds = matching
+        .map((product) => product.id)
+        .sort((a, b) => searchRanks.get(b) - searchRanks.get(a))
+        .slice(skip, skip + limit);
+
+      const pageProducts = await prisma.product.findMany({
+        where: { id: { in: pageIds } },
+        include
+      });
+
+      products = pageIds.map((id) => pageProducts.find((product) => product.id === id));
+      total = matching.length;
+    } else {
+      // Get products
+      products = await prisma.product.findMany({
+        where: filter,
+        include,
+        skip,
+        take: limit,
+        orderBy: {
+          [sortBy === 'relevance' ? 'createdAt' : sortBy]: sortOrder
         }
       });
+
+      // Get total count
+      total = await prisma.product.count({
+        where: filter
+      });
     }
 
-    // Get products
-    const products = await prisma.product.findMany({
-      where: filter,
-      include: {
-        category: {
-          select: {
-            id: true,
-            name: true,
-            slug: true
-          }
-        }
-      },
-      skip,
-      take: limit,
-      orderBy: {
-        [sortBy]: sortOrder
-      }
-    });
+    // Only the best matches can be listed, but without other filters the
+    // number of matches in all is known
+    const pages = Math.ceil(total / limit);
+    if (search && !filtered && searchTotal > total) {
+      total = searchTotal;
+    }
 
-    // Get total count
-    const total = await prisma.product.count({
-      where: filter
-    });
+    // Show which words matched in the name and description
+    if (search) {
+      const highlights = await getSearchHighlights(search, products.map((product) => product.id));
+
+      products = products.map((product) => ({
+        ...product,
+        relevance: searchRanks.get(product.id),
+        highlights: highlights.get(product.id)
+      }));
+    }
+
+    // Price after the discount, and the lowest price in the last 30 days for "was" prices
+    products = await addPriceInfo(products);
+
+    // Counts for each filter value, so the storefront only offers filters that return results
+    const facets = await getFacetCounts(baseConditions, facetFilters);
+
+    // Offer a corrected spelling when a search finds nothing
+    const didYouMean = search && total === 0 ? await getSpellingCorrection(search) : null;
 
     res.json({
       products,
       page,
-      pages: Math.ceil(total / limit),
-      total
+      pages,
+      total,
+      facets,
+      didYouMean
     });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * Get search suggestions for a partly typed query: matching products, brands
+ * and categories. Called on every keystroke, so answers are cached briefly.
+ * @route GET /api/products/suggest
+ * @access Public
+ */
+const getProductSuggestions = async (req, res, next) => {
+  try {
+    const query = (req.query.q || '').trim().slice(0, 100);
+    const limit = Math.min(parseInt(req.query.limit) || 5, 10);
+
+    res.set('Cache-Control', 'public, max-age=60');
+
+    if (query.length === 0) {
+      return res.json({ query, products: [], brands: [], categories: [] });
+    }
+
+    const suggestions = await getSuggestions(query, limit);
+
+    res.json({ query, ...suggestions });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get product by ID or slug
  * @route GET /api/products/:id
@@ -112,21 +212,92 @@ const getProductById = async (req, res, next) => {
             createdAt: 'desc'
           },
           take: 5
+        },
+        variants: {
+          where: { deletedAt: null },
+          orderBy: {
+            createdAt: 'asc'
+          }
         }
       }
     });
 
-    if (!product) {
+    // Unpublished products only exist for staff previewing them
+    if (!product || (!req.preview && !isProductLive(product))) {
       res.status(404);
       throw new Error('Product not found');
     }
 
-    res.json(product);
+    // Collect the values offered for each option (e.g. size: S, M, L) for the variant picker
+    const variantOptions = {};
+    product.variants.forEach((variant) => {
+      Object.entries(variant.options).forEach(([option, value]) => {
+        variantOptions[option] = variantOptions[option] || [];
+        if (!variantOptions[option].includes(value)) {
+          variantOptions[option].push(value);
+        }
+      });
+    });
+
+    // A running sale, so the page can show when it ends
+    const sale = await prisma.productPriceSchedule.findFirst({
+      where: { productId: product.id, appliedAt: { not: null }, endedAt: null },
+      select: {
+        price: true,
+        discount: true,
+        startsAt: true,
+        endsAt: true
+      }
+    });
+
+    const [pricedProduct] = await addPriceInfo([product]);
+
+    // Each variant's price after the product's discount, as the cart will charge it
+    pricedProduct.variants = product.variants.map((variant) => ({
+      ...variant,
+      effectivePrice: priceLine({ product, variant, quantity: 1 }).unitPrice
+    }));
+
+    res.json({
+      ...pricedProduct,
+      variantOptions,
+      sale,
+      ...(req.preview && { isLive: isProductLive(product) })
+    });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * Check a discount from a request body. Discounts are percentages; empty
+ * values mean no discount.
+ * @param {*} discount - Discount as sent
+ * @returns {boolean} Whether the discount is acceptable
+ */
+const validDiscount = (discount) => {
+  if (discount === undefined || discount === null || discount === '') {
+    return true;
+  }
+
+  const value = parseFloat(discount);
+  return !isNaN(value) && value >= 0 && value <= 100;
+};
+
+/**
+ * Answer a stock change the default location can't cover with a 400
+ * @param {Error} error - Error thrown while saving
+ * @param {Response} res - Express response object
+ * @returns {Error} The error to pass on
+ */
+const stockError = (error, res) => {
+  if (error instanceof InsufficientStockError) {
+    res.status(400);
+  }
+
+  return error;
+};
+
 /**
  * Create a new product
  * @route POST /api/products
@@ -153,38 +324,54 @@ const createProduct = async (req, res, next) => {
       features
     } = req.body;
 
+    if (!validDiscount(discount)) {
+      res.status(400);
+      throw new Error('Discount must be a percentage between 0 and 100');
+    }
+
     // Generate slug from name
     const slug = name
       .toLowerCase()
       .replace(/[^\w\s]/gi, '')
       .replace(/\s+/g, '-');
 
-    // Create product
-    const product = await prisma.product.create({
-      data: {
-        name,
-        slug,
-        description,
-        price: parseFloat(price),
-        discount: discount ? parseFloat(discount) : null,
-        stock: parseInt(stock),
-        isPrime: Boolean(isPrime),
-        images: images || [],
-        categoryId,
-        brand,
-        model,
-        dimensions,
-        weight,
-        color,
-        material,
-        warranty,
-        features: features || []
-      }
+    // New products start as drafts unless a status is given
+    const lifecycle = parseLifecycleFields(req.body, null, res);
+
+    // Create product; its stock is received at the default location
+    const product = await prisma.$transaction(async (prisma) => {
+      const created = await prisma.product.create({
+        data: {
+          name,
+          slug,
+          description,
+          price: parseFloat(price),
+          discount: discount ? parseFloat(discount) : null,
+          stock: 0,
+          isPrime: Boolean(isPrime),
+          images: images || [],
+          categoryId,
+          brand,
+          model,
+          dimensions,
+          weight,
+          color,
+          material,
+          warranty,
+          features: features || [],
+          ...lifecycle
+        }
+      });
+
+      await recordPriceChange(created, 'create', req.user.id, prisma);
+      await setTotalStock({ productId: created.id, quantity: parseInt(stock) || 0, createdById: req.user.id }, prisma);
+
+      return prisma.product.findUnique({ where: { id: created.id } });
     });
 
     res.status(201).json(product);
   } catch (error) {
-    next(error);
+    next(stockError(error, res));
   }
 };
 
@@ -217,7 +404,8 @@ const updateProduct = async (req, res, next) => {
 
     // Check if product exists
     const productExists = await prisma.product.findUnique({
-      where: { id }
+      where: { id },
+      include: { _count: { select: { variants: { where: { deletedAt: null } } } } }
     });
 
     if (!productExists) {
@@ -225,6 +413,16 @@ const updateProduct = async (req, res, next) => {
       throw new Error('Product not found');
     }
 
+    if (stock !== undefined && (!Number.isInteger(Number(stock)) || Number(stock) < 0)) {
+      res.status(400);
+      throw new Error('Stock must be a whole number of at least 0');
+    }
+
+    if (!validDiscount(discount)) {
+      res.status(400);
+      throw new Error('Discount must be a percentage between 0 and 100');
+    }
+
     // Generate new slug if name is updated
     let slug = productExists.slug;
     if (name && name !== productExists.name) {
@@ -234,33 +432,51 @@ const updateProduct = async (req, res, next) => {
         .replace(/\s+/g, '-');
     }
 
-    // Update product
-    const product = await prisma.product.update({
-      where: { id },
-      data: {
-        name: name || productExists.name,
-        slug,
-        description: description !== undefined ? description : productExists.description,
-        price: price !== undefined ? parseFloat(price) : productExists.price,
-        discount: discount !== undefined ? (discount ? parseFloat(discount) : null) : productExists.discount,
-        stock: stock !== undefined ? parseInt(stock) : productExists.stock,
-        isPrime: isPrime !== undefined ? Boolean(isPrime) : productExists.isPrime,
-        images: images || productExists.images,
-        categoryId: categoryId || productExists.categoryId,
-        brand: brand !== undefined ? brand : productExists.brand,
-        model: model !== undefined ? model : productExists.model,
-        dimensions: dimensions !== undefined ? dimensions : productExists.dimensions,
-        weight: weight !== undefined ? weight : productExists.weight,
-        color: color !== undefined ? color : productExists.color,
-        material: material !== undefined ? material : productExists.material,
-        warranty: warranty !== undefined ? warranty : productExists.warranty,
-        features: features || productExists.features
+    // Status changes and publishing schedule
+    const lifecycle = parseLifecycleFields(req.body, productExists, res);
+
+    // Update product and its stock together, so nothing is saved if the stock can't be set
+    const product = await prisma.$transaction(async (prisma) => {
+      const updated = await prisma.product.update({
+        where: { id },
+        data: {
+          name: name || productExists.name,
+          slug,
+          description: description !== undefined ? description : productExists.description,
+          price: price !== undefined ? parseFloat(price) : productExists.price,
+          discount: discount !== undefined ? (discount ? parseFloat(discount) : null) : productExists.discount,
+          isPrime: isPrime !== undefined ? Boolean(isPrime) : productExists.isPrime,
+          images: images || productExists.images,
+          categoryId: categoryId || productExists.categoryId,
+          brand: brand !== undefined ? brand : productExists.brand,
+          model: model !== undefined ? model : productExists.model,
+          dimensions: dimensions !== undefined ? dimensions : productExists.dimensions,
+          weight: weight !== undefined ? weight : productExists.weight,
+          color: color !== undefined ? color : productExists.color,
+          material: material !== undefined ? material : productExists.material,
+          warranty: warranty !== undefined ? warranty : productExists.warranty,
+          features: features || productExists.features,
+          ...lifecycle
+        }
+      });
+
+      // Keep the price history complete for "lowest price in 30 days"
+      if (updated.price !== productExists.price || updated.discount !== productExists.discount) {
+        await recordPriceChange(updated, 'update', req.user.id, prisma);
+      }
+
+      // Products with variants take their stock from the variants
+      if (stock !== undefined && productExists._count.variants === 0 && parseInt(stock) !== productExists.stock) {
+        await setTotalStock({ productId: id, quantity: parseInt(stock), createdById: req.user.id }, prisma);
+        return { ...updated, stock: parseInt(stock) };
       }
+
+      return updated;
     });
 
     res.json(product);
   } catch (error) {
-    next(error);
+    next(stockError(error, res));
   }
 };
 
@@ -294,6 +510,208 @@ const deleteProduct = async (req, res, next) => {
   }
 };
 
+/**
+ * Check the fields of a product variant, throwing on the first invalid one
+ * @param {Object} data - Variant fields from the request body
+ * @param {Response} res - Express response object
+ * @param {boolean} [partial=false] - Whether fields may be left out (updates)
+ */
+const validateVariant = (data, res, partial = false) => {
+  const { sku, options, price, stock, images } = data;
+
+  if (!partial || sku !== undefined) {
+    if (typeof sku !== 'string' || !sku.trim()) {
+      res.status(400);
+      throw new Error('SKU is required');
+    }
+  }
+
+  if (!partial || options !== undefined) {
+    const values = options && typeof options === 'object' && !Array.isArray(options)
+      ? Object.values(options)
+      : [];
+
+    if (values.length === 0 || values.some((value) => typeof value !== 'string' || !value)) {
+      res.status(400);
+      throw new Error('Options must be an object of option values, e.g. { "size": "M" }');
+    }
+  }
+
+  if (price !== undefined && price !== null && (isNaN(parseFloat(price)) || parseFloat(price) < 0)) {
+    res.status(400);
+    throw new Error('Price must be a positive number');
+  }
+
+  if (stock !== undefined && (!Number.isInteger(Number(stock)) || Number(stock) < 0)) {
+    res.status(400);
+    throw new Error('Stock must be a whole number of at least 0');
+  }
+
+  if (images !== undefined && !Array.isArray(images)) {
+    res.status(400);
+    throw new Error('Images must be an array');
+  }
+};
+
+/**
+ * Add a variant to a product
+ * @route POST /api/products/:id/variants
+ * @access Private
+ */
+const createProductVariant = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { sku, options, price, stock, images } = req.body;
+
+    validateVariant(req.body, res);
+
+    // Check if product exists
+    const product = await prisma.product.findUnique({
+      where: { id }
+    });
+
+    if (!product) {
+      res.status(404);
+      throw new Error('Product not found');
+    }
+
+    const skuTaken = await prisma.productVariant.findUnique({
+      where: { sku: sku.trim() }
+    });
+
+    if (skuTaken) {
+      res.status(400);
+      throw new Error('SKU is already in use');
+    }
+
+    // The variant's stock is received at the default location
+    const variant = await prisma.$transaction(async (prisma) => {
+      const created = await prisma.productVariant.create({
+        data: {
+          productId: id,
+          sku: sku.trim(),
+          options,
+          price: price !== undefined && price !== null ? parseFloat(price) : null,
+          stock: 0,
+          images: images || []
+        }
+      });
+
+      await setTotalStock({
+        productId: id,
+        variantId: created.id,
+        quantity: stock !== undefined ? parseInt(stock) : 0,
+        createdById: req.user.id
+      }, prisma);
+
+      return prisma.productVariant.findUnique({ where: { id: created.id } });
+    });
+
+    res.status(201).json(variant);
+  } catch (error) {
+    next(stockError(error, res));
+  }
+};
+
+/**
+ * Update a product variant
+ * @route PUT /api/products/:id/variants/:variantId
+ * @access Private
+ */
+const updateProductVariant = async (req, res, next) => {
+  try {
+    const { id, variantId } = req.params;
+    const { sku, options, price, stock, images } = req.body;
+
+    validateVariant(req.body, res, true);
+
+    const variantExists = await prisma.productVariant.findUnique({
+      where: { id: variantId }
+    });
+
+    if (!variantExists || variantExists.productId !== id || variantExists.deletedAt) {
+      res.status(404);
+      throw new Error('Variant not found');
+    }
+
+    if (sku !== undefined && sku.trim() !== variantExists.sku) {
+      const skuTaken = await prisma.productVariant.findUnique({
+        where: { sku: sku.trim() }
+      });
+
+      if (skuTaken) {
+        res.status(400);
+        throw new Error('SKU is already in use');
+      }
+    }
+
+    // Update the variant and its stock together, so nothing is saved if the stock can't be set
+    const variant = await prisma.$transaction(async (prisma) => {
+      const updated = await prisma.productVariant.update({
+        where: { id: variantId },
+        data: {
+          sku: sku !== undefined ? sku.trim() : variantExists.sku,
+          options: options || variantExists.options,
+          price: price !== undefined ? (price !== null ? parseFloat(price) : null) : variantExists.price,
+          images: images || variantExists.images
+        }
+      });
+
+      if (stock !== undefined && parseInt(stock) !== variantExists.stock) {
+        await setTotalStock({ productId: id, variantId, quantity: parseInt(stock), createdById: req.user.id }, prisma);
+        return { ...updated, stock: parseInt(stock) };
+      }
+
+      return updated;
+    });
+
+    res.json(variant);
+  } catch (error) {
+    next(stockError(error, res));
+  }
+};
+
+/**
+ * Delete a product variant
+ * @route DELETE /api/products/:id/variants/:variantId
+ * @access Private
+ */
+const deleteProductVariant = async (req, res, next) => {
+  try {
+    const { id, variantId } = req.params;
+
+    const variant = await prisma.productVariant.findUnique({
+      where: { id: variantId }
+    });
+
+    if (!variant || variant.productId !== id || variant.deletedAt) {
+      res.status(404);
+      throw new Error('Variant not found');
+    }
+
+    // The variant is only marked as removed, so past orders and the stock
+    // ledger still refer to it; its stock is written off and carts drop it
+    await prisma.$transaction(async (prisma) => {
+      await writeOffVariantStock(variant, req.user.id, prisma);
+
+      await prisma.cartItem.deleteMany({
+        where: { variantId }
+      });
+
+      await prisma.productVariant.update({
+        where: { id: variantId },
+        data: { deletedAt: new Date(), stock: 0 }
+      });
+
+      await syncStockTotals(id, prisma);
+    });
+
+    res.json({ message: 'Variant removed' });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get top rated products
  * @route GET /api/products/top
@@ -306,7 +724,7 @@ const getTopProducts = async (req, res, next) => {
     const products = await prisma.product.findMany({
       where: {
         rating: { gte: 4 },
-        isPublished: true
+        ...liveProductFilter()
       },
       orderBy: [
         { rating: 'desc' },
@@ -339,7 +757,7 @@ const createProductReview = async (req, res, next) => {
       where: { id }
     });
 
-    if (!product) {
+    if (!product || !isProductLive(product)) {
       res.status(404);
       throw new Error('Product not found');
     }
@@ -397,10 +815,14 @@ const createProductReview = async (req, res, next) => {
 
 module.exports = {
   getProducts,
+  getProductSuggestions,
   getProductById,
   createProduct,
   updateProduct,
   deleteProduct,
   createProductReview,
-  getTopProducts
+  getTopProducts,
+  createProductVariant,
+  updateProductVariant,
+  deleteProductVariant
 };
\ No newline at end of file
@@ -0,0 +1,290 @@
+const { PrismaClient } = require('@prisma/client');
+const { stringify } = require('csv-stringify');
+const { stringify: stringifySync } = require('csv-stringify/sync');
+const logger = require('../utils/logger');
+const { recordAudit } = require('../utils/auditLog');
+const {
+  IMPORT_COLUMNS,
+  parseImportFile,
+  startImportJob,
+  productToRows
+} = require('../utils/productImport');
+
+const prisma = new PrismaClient();
+
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 50000;
+
+// Products are read this many at a time while exporting
+const EXPORT_BATCH_SIZE = 500;
+
+// Job fields shown in status responses (the error report is downloaded separately)
+const jobSelect = {
+  id: true,
+  fileName: true,
+  format: true,
+  status: true,
+  totalRows: true,
+  processedRows: true,
+  createdCount: true,
+  updatedCount: true,
+  failedCount: true,
+  createdById: true,
+  startedAt: true,
+  completedAt: true,
+  createdAt: true
+};
+
+/**
+ * Upload a CSV or JSON file of products to create or update. The file is
+ * checked and imported in the background; follow the returned job.
+ * @route POST /api/products/import
+ * @access Private
+ */
+const importProducts = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      res.status(400);
+      throw new Error('Please upload a CSV or JSON file');
+    }
+
+    const format = req.file.originalname.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+
+    let rows;
+    try {
+      rows = parseImportFile(req.file.buffer, format);
+    } catch (error) {
+      res.status(400);
+      throw new Error(`Could not read the file: ${error.message}`);
+    }
+
+    if (rows.length === 0) {
+      res.status(400);
+      throw new Error('The file has no products');
+    }
+
+    if (rows.length > IMPORT_MAX_ROWS) {
+      res.status(400);
+      throw new Error(`Files can have at most ${IMPORT_MAX_ROWS} rows`);
+    }
+
+    const job = await prisma.productImportJob.create({
+      data: {
+        fileName: req.file.originalname,
+        format,
+        totalRows: rows.length,
+        createdById: req.user.id
+      },
+      select: jobSelect
+    });
+
+    startImportJob(job.id, rows);
+
+    await recordAudit({
+      actorId: req.user.id,
+      action: 'products.import',
+      req,
+      metadata: { importJobId: job.id, fileName: job.fileName, rows: rows.length }
+    });
+
+    logger.info(`Product import ${job.id} started with ${rows.length} row(s)`);
+    res.status(202).json(job);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get recent product imports
+ * @route GET /api/products/import
+ * @access Private
+ */
+const getImportJobs = async (req, res, next) => {
+  try {
+    const jobs = await prisma.productImportJob.findMany({
+      select: jobSelect,
+      orderBy: { createdAt: 'desc' },
+      take: 20
+    });
+
+    res.json(jobs);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the status and progress of a product import
+ * @route GET /api/products/import/:id
+ * @access Private
+ */
+const getImportJob = async (req, res, next) => {
+  try {
+    const job = await prisma.productImportJob.findUnique({
+      where: { id: req.params.id },
+      select: jobSelect
+    });
+
+    if (!job) {
+      res.status(404);
+      throw new Error('Import not found');
+    }
+
+    res.json({
+      ...job,
+      progress: Math.floor((job.processedRows / job.totalRows) * 100)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download the rows of a product import that couldn't be imported, with the
+ * reason, as CSV (or JSON with ?format=json)
+ * @route GET /api/products/import/:id/errors
+ * @access Private
+ */
+const getImportJobErrors = async (req, res, next) => {
+  try {
+    const job = await prisma.productImportJob.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, errors: true }
+    });
+
+    if (!job) {
+      res.status(404);
+      throw new Error('Import not found');
+    }
+
+    if (req.query.format === 'json') {
+      return res.json(job.errors);
+    }
+
+    res.attachment(`import-${job.id}-errors.csv`);
+    res.type('text/csv');
+    res.send(stringifySync(job.errors, { header: true, columns: ['row', 'field', 'message'] }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Wait until a stream has room for more data again, or the client has gone
+ * away (in which case it never will)
+ * @param {Stream} stream - Stream that asked the writer to wait
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+const waitForDrain = (stream, res) => new Promise((resolve) => {
+  const done = () => {
+    stream.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+
+  stream.once('drain', done);
+  res.once('close', done);
+});
+
+/**
+ * Download the whole catalog, in every status, as CSV (or JSON with
+ * ?format=json) in the same columns the import reads. Products are streamed
+ * in batches so large catalogs aren't held in memory.
+ * @route GET /api/products/export
+ * @access Private
+ */
+const exportProducts = async (req, res, next) => {
+  try {
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.attachment(`products-${date}.${format}`);
+
+    // Stop reading the catalog if the client disconnects part way through
+    let closed = false;
+    res.once('close', () => {
+      closed = true;
+    });
+
+    const csv = format === 'csv'
+      ? stringify({ header: true, columns: IMPORT_COLUMNS, cast: { boolean: (value) => String(value) } })
+      : null;
+    if (csv) {
+      csv.pipe(res);
+    } else {
+      res.type('application/json');
+      res.write('[');
+    }
+
+    let cursor;
+    let first = true;
+    do {
+      const products = await prisma.product.findMany({
+        include: {
+          category: { select: { slug: true } },
+          variants: { where: { deletedAt: null }, orderBy: { createdAt: 'asc' } }
+        },
+        orderBy: { id: 'asc' },
+        take: EXPORT_BATCH_SIZE,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 })
+      });
+
+      for (const row of products.flatMap((product) => productToRows(product, format))) {
+        if (closed) {
+          break;
+        }
+
+        // Wait for the client to catch up before writing more
+        if (csv) {
+          if (!csv.write(row)) {
+            await waitForDrain(csv, res);
+          }
+        } else {
+          if (!res.write(`${first ? '' : ','}\n${JSON.stringify(row)}`)) {
+            await waitForDrain(res, res);
+          }
+          first = false;
+        }
+      }
+
+      cursor = !closed && products.length === EXPORT_BATCH_SIZE ? products[products.length - 1].id : null;
+    } while (cursor);
+
+    if (closed) {
+      if (csv) {
+        csv.destroy();
+      }
+      logger.warn('Product export stopped because the client disconnected');
+      return;
+    }
+
+    if (csv) {
+      csv.end();
+    } else {
+      res.end('\n]\n');
+    }
+
+    await recordAudit({
+      actorId: req.user.id,
+      action: 'products.export',
+      req,
+      metadata: { format }
+    });
+  } catch (error) {
+    // Once streaming has started the response can only be cut short
+    if (res.headersSent) {
+      logger.error(`Error exporting products: ${error.message}`);
+      return res.destroy(error);
+    }
+
+    next(error);
+  }
+};
+
+module.exports = {
+  importProducts,
+  getImportJobs,
+  getImportJob,
+  getImportJobErrors,
+  exportProducts
+};
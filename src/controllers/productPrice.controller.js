@@ -0,0 +1,186 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const { endPriceSchedule } = require('../utils/productPricing');
+
+const prisma = new PrismaClient();
+
+/**
+ * Get a product's price history, newest first
+ * @route GET /api/products/:id/price-history
+ * @access Private
+ */
+const getPriceHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const history = await prisma.productPriceHistory.findMany({
+      where: { productId: id },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+
+    res.json(history);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a product's price schedules that haven't ended
+ * @route GET /api/products/:id/price-schedules
+ * @access Private
+ */
+const getPriceSchedules = async (req, res, next) => {
+  try {
+    const schedules = await prisma.productPriceSchedule.findMany({
+      where: { productId: req.params.id, endedAt: null },
+      orderBy: { startsAt: 'asc' }
+    });
+
+    res.json(schedules);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Schedule a price and/or discount for a product, e.g. a sale from Friday
+ * midnight to Sunday night. Without endsAt the change is permanent.
+ * @route POST /api/products/:id/price-schedules
+ * @access Private
+ */
+const createPriceSchedule = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { price, discount, startsAt, endsAt } = req.body;
+
+    const product = await prisma.product.findUnique({
+      where: { id }
+    });
+
+    if (!product) {
+      res.status(404);
+      throw new Error('Product not found');
+    }
+
+    const hasPrice = price !== undefined && price !== null;
+    const hasDiscount = discount !== undefined && discount !== null;
+
+    if (!hasPrice && !hasDiscount) {
+      res.status(400);
+      throw new Error('A price or discount is required');
+    }
+
+    if (hasPrice && (isNaN(parseFloat(price)) || parseFloat(price) < 0)) {
+      res.status(400);
+      throw new Error('Price must be a positive number');
+    }
+
+    if (hasDiscount && (isNaN(parseFloat(discount)) || parseFloat(discount) < 0 || parseFloat(discount) > 100)) {
+      res.status(400);
+      throw new Error('Discount must be a percentage between 0 and 100');
+    }
+
+    const start = new Date(startsAt);
+    const end = endsAt ? new Date(endsAt) : null;
+
+    if (!startsAt || isNaN(start.getTime())) {
+      res.status(400);
+      throw new Error('A valid start date is required');
+    }
+
+    if (end && (isNaN(end.getTime()) || end <= start)) {
+      res.status(400);
+      throw new Error('End date must be after the start date');
+    }
+
+    if (end && end <= new Date()) {
+      res.status(400);
+      throw new Error('End date must be in the future');
+    }
+
+    // Only one schedule can be in effect at a time
+    const overlapping = await prisma.productPriceSchedule.findFirst({
+      where: {
+        productId: id,
+        endedAt: null,
+        ...(end && { startsAt: { lt: end } }),
+        OR: [
+          { endsAt: null },
+          { endsAt: { gt: start } }
+        ]
+      }
+    });
+
+    if (overlapping) {
+      res.status(400);
+      throw new Error('This product already has a price scheduled for that time');
+    }
+
+    const schedule = await prisma.productPriceSchedule.create({
+      data: {
+        productId: id,
+        price: hasPrice ? parseFloat(price) : null,
+        discount: hasDiscount ? parseFloat(discount) : null,
+        startsAt: start,
+        endsAt: end,
+        createdById: req.user.id
+      }
+    });
+
+    logger.info(`Price schedule ${schedule.id} created for product ${id}`);
+    res.status(201).json(schedule);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a price schedule. One that is already running ends straight away
+ * and the previous price comes back.
+ * @route DELETE /api/products/:id/price-schedules/:scheduleId
+ * @access Private
+ */
+const deletePriceSchedule = async (req, res, next) => {
+  try {
+    const { id, scheduleId } = req.params;
+
+    const schedule = await prisma.productPriceSchedule.findUnique({
+      where: { id: scheduleId }
+    });
+
+    if (!schedule || schedule.productId !== id || schedule.endedAt) {
+      res.status(404);
+      throw new Error('Price schedule not found');
+    }
+
+    // The schedule may start or end on its own while this runs
+    let cancelled;
+    if (schedule.appliedAt) {
+      cancelled = await endPriceSchedule(schedule);
+    } else {
+      const { count } = await prisma.productPriceSchedule.deleteMany({
+        where: { id: scheduleId, appliedAt: null }
+      });
+      cancelled = count === 1;
+    }
+
+    if (!cancelled) {
+      res.status(400);
+      throw new Error('Price schedule has just started or ended, please try again');
+    }
+
+    logger.info(`Price schedule ${scheduleId} cancelled`);
+    res.json({ message: 'Price schedule cancelled' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPriceHistory,
+  getPriceSchedules,
+  createPriceSchedule,
+  deletePriceSchedule
+};
@@ -1,5 +1,6 @@
 const { PrismaClient } = require('@prisma/client');
 const logger = require('../utils/logger');
+const { requestHasPermission } = require('../utils/auth/permissions');
 
 const prisma = new PrismaClient();
 
@@ -134,8 +135,8 @@ const updateReview = async (req, res, next) => {
       throw new Error('Review not found');
     }
 
-    // Check if user is the owner of the review
-    if (review.userId !== req.user.id && req.user.role !== 'ADMIN') {
+    // Only the author, or staff who moderate reviews, may update it
+    if (review.userId !== req.user.id && !requestHasPermission(req, 'reviews:moderate')) {
       res.status(403);
       throw new Error('Not authorized to update this review');
     }
@@ -192,8 +193,8 @@ const deleteReview = async (req, res, next) => {
       throw new Error('Review not found');
     }
 
-    // Check if user is the owner of the review
-    if (review.userId !== req.user.id && req.user.role !== 'ADMIN') {
+    // Only the author, or staff who moderate reviews, may delete it
+    if (review.userId !== req.user.id && !requestHasPermission(req, 'reviews:moderate')) {
       res.status(403);
       throw new Error('Not authorized to delete this review');
     }
@@ -1,11 +1,14 @@
 const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
 const logger = require('../utils/logger');
+const sessionService = require('../utils/auth/sessionService');
+const { recordAudit } = require('../utils/auditLog');
+const { hasOpenOrders, deleteUserAccount, normalizeEmail } = require('../utils/auth/accountService');
 
 const prisma = new PrismaClient();
 
 /**
- * Get all users (admin only)
+ * Get all users (requires users:read)
  * @route GET /api/users
  * @access Private
  */
@@ -63,7 +66,7 @@ const getUsers = async (req, res, next) => {
 };
 
 /**
- * Get user by ID (admin only)
+ * Get user by ID (requires users:read)
  * @route GET /api/users/:id
  * @access Private
  */
@@ -110,7 +113,111 @@ const getUserById = async (req, res, next) => {
 };
 
 /**
- * Update user (admin only)
+ * Start impersonating a customer (admin only)
+ * @route POST /api/users/:id/impersonate
+ * @access Private
+ */
+const impersonateUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (req.impersonator) {
+      res.status(403);
+      throw new Error('Cannot start impersonation while impersonating');
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        role: true
+      }
+    });
+
+    if (!user) {
+      res.status(404);
+      throw new Error('User not found');
+    }
+
+    // Only customer accounts can be impersonated
+    if (user.id === req.user.id || user.role !== 'USER') {
+      res.status(400);
+      throw new Error('Only customer accounts can be impersonated');
+    }
+
+    const { session, accessToken } = await sessionService.createImpersonationSession(
+      user.id,
+      req.user.id,
+      req
+    );
+
+    await recordAudit({
+      actorId: req.user.id,
+      userId: user.id,
+      action: 'impersonation.start',
+      req,
+      metadata: { sessionId: session.id, reason }
+    });
+
+    logger.info(`Admin ${req.user.id} started impersonating user ${user.id}`);
+
+    res.status(201).json({
+      token: accessToken,
+      impersonation: true,
+      expiresAt: session.expiresAt,
+      user,
+      impersonator: {
+        id: req.user.id,
+        name: req.user.name,
+        email: req.user.email
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get audit log entries for a user's account (requires users:read)
+ * @route GET /api/users/:id/audit-log
+ * @access Private
+ */
+const getUserAuditLog = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const entries = await prisma.auditLog.findMany({
+      where: { userId: id },
+      orderBy: {
+        createdAt: 'desc'
+      },
+      skip,
+      take: limit
+    });
+
+    const total = await prisma.auditLog.count({
+      where: { userId: id }
+    });
+
+    res.json({
+      entries,
+      page,
+      pages: Math.ceil(total / limit),
+      total
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update user (requires users:write)
  * @route PUT /api/users/:id
  * @access Private
  */
@@ -133,7 +240,7 @@ const updateUser = async (req, res, next) => {
       where: { id },
       data: {
         name: name || user.name,
-        email: email || user.email,
+        email: normalizeEmail(email) || user.email,
         role: role || user.role
       },
       select: {
@@ -152,7 +259,7 @@ const updateUser = async (req, res, next) => {
 };
 
 /**
- * Delete user (admin only)
+ * Delete user (requires users:delete)
  * @route DELETE /api/users/:id
  * @access Private
  */
@@ -175,9 +282,13 @@ const deleteUser = async (req, res, next) => {
       throw new Error('Cannot delete your own account');
     }
 
-    await prisma.user.delete({
-      where: { id }
-    });
+    if (await hasOpenOrders(id)) {
+      res.status(400);
+      throw new Error('Cannot delete a user with orders in progress');
+    }
+
+    // Orders and reviews are kept but detached from the account
+    await deleteUserAccount(id, req.user.id);
 
     res.json({ message: 'User deleted' });
   } catch (error) {
@@ -449,6 +560,8 @@ const deletePaymentMethod = async (req, res, next) => {
 module.exports = {
   getUsers,
   getUserById,
+  impersonateUser,
+  getUserAuditLog,
   updateUser,
   deleteUser,
   addAddress,
@@ -0,0 +1,20 @@
+const { getJwks } = require('../utils/auth/signingKeys');
+
+/**
+ * Get the public keys used to sign access tokens
+ * @route GET /.well-known/jwks.json
+ * @access Public
+ */
+const getJwksDocument = (req, res, next) => {
+  try {
+    // Kept short so newly added keys are picked up well before they start signing
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(getJwks());
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getJwksDocument
+};
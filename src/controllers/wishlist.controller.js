@@ -1,5 +1,6 @@
 const { PrismaClient } = require('@prisma/client');
 const logger = require('../utils/logger');
+const { liveProductFilter, isProductLive } = require('../utils/productVisibility');
 
 const prisma = new PrismaClient();
 
@@ -10,11 +11,12 @@ const prisma = new PrismaClient();
  */
 const getWishlist = async (req, res, next) => {
   try {
-    // Find user's wishlist
+    // Find user's wishlist (products that have been unpublished are left out)
     const wishlist = await prisma.wishlist.findUnique({
       where: { userId: req.user.id },
       include: {
         items: {
+          where: { product: liveProductFilter() },
           include: {
             product: {
               select: {
@@ -93,7 +95,7 @@ const addToWishlist = async (req, res, next) => {
       where: { id: productId }
     });
 
-    if (!product) {
+    if (!product || !isProductLive(product)) {
       res.status(404);
       throw new Error('Product not found');
     }
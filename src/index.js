@@ -3,7 +3,6 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
-const { rateLimit } = require('express-rate-limit');
 const dotenv = require('dotenv');
 
 // Load environment variables
@@ -23,14 +22,23 @@ const uploadRoutes = require('./routes/upload.routes');
 const categoryRoutes = require('./routes/category.routes');
 const reviewRoutes = require('./routes/review.routes');
 const wishlistRoutes = require('./routes/wishlist.routes');
+const apiKeyRoutes = require('./routes/apiKey.routes');
+const inventoryRoutes = require('./routes/inventory.routes');
+const wellKnownRoutes = require('./routes/wellKnown.routes');
 
 // Import middleware
 const { errorHandler } = require('./middleware/error.middleware');
 const { notFound } = require('./middleware/notFound.middleware');
+const { apiLimiter } = require('./middleware/rateLimit.middleware');
 
 // Import logger
 const logger = require('./utils/logger');
 
+// Import background jobs
+const { purgeScheduledDeletions } = require('./utils/auth/accountService');
+const { failInterruptedImports } = require('./utils/productImport');
+const { applyPriceSchedules } = require('./utils/productPricing');
+
 // Security middleware
 app.use(helmet()); // Set security HTTP headers
 app.use(cors()); // Enable CORS
@@ -41,15 +49,8 @@ app.use(compression()); // Compress response bodies
 // Request logging
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // Limit each IP to 100 requests per windowMs
-  standardHeaders: true,
-  legacyHeaders: false,
-  message: 'Too many requests from this IP, please try again after 15 minutes'
-});
-app.use('/api', limiter);
+// Rate limiting (per API key, or per IP for requests without a valid key)
+app.use('/api', apiLimiter);
 
 // Routes
 app.use('/api/auth', authRoutes);
@@ -61,6 +62,9 @@ app.use('/api/upload', uploadRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/reviews', reviewRoutes);
 app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/.well-known', wellKnownRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -76,6 +80,31 @@ const server = app.listen(PORT, () => {
   logger.info(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
 });
 
+// Product imports run in memory, so any left behind by a server that stopped
+// have failed. Checked at startup and every few minutes, since another server
+// may be the one that stopped.
+const checkInterruptedImports = () => {
+  failInterruptedImports()
+    .then((count) => count > 0 && logger.warn(`Marked ${count} interrupted product import(s) as failed`))
+    .catch((err) => logger.error(`Error checking for interrupted imports: ${err.message}`));
+};
+checkInterruptedImports();
+setInterval(checkInterruptedImports, 5 * 60 * 1000).unref();
+
+// Delete accounts whose deletion grace period has ended, once an hour
+setInterval(() => {
+  purgeScheduledDeletions()
+    .then((count) => count > 0 && logger.info(`Deleted ${count} scheduled account(s)`))
+    .catch((err) => logger.error(`Error deleting scheduled accounts: ${err.message}`));
+}, 60 * 60 * 1000).unref();
+
+// Start and end scheduled prices and sales, once a minute
+setInterval(() => {
+  applyPriceSchedules()
+    .then(({ started, ended }) => (started > 0 || ended > 0) && logger.info(`Price schedules: ${started} started, ${ended} ended`))
+    .catch((err) => logger.error(`Error applying price schedules: ${err.message}`));
+}, 60 * 1000).unref();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   logger.error(`Unhandled Rejection: ${err.message}`);
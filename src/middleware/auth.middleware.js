@@ -1,17 +1,43 @@
-const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
 const logger = require('../utils/logger');
+const { findActiveSession, touchSession } = require('../utils/auth/sessionService');
+const { verifyToken } = require('../utils/auth/signingKeys');
+const { findRequestApiKey, touchApiKey } = require('../utils/auth/apiKeyService');
+const { hasPermission, requestHasPermission } = require('../utils/auth/permissions');
+const { recordAudit } = require('../utils/auditLog');
 
 const prisma = new PrismaClient();
 
 /**
- * Middleware to protect routes that require authentication
- * @param {Request} req - Express request object
- * @param {Response} res - Express response object
- * @param {NextFunction} next - Express next function
+ * Middleware factory authenticating a Bearer JWT or, where allowed, an
+ * X-API-Key header
+ * @param {boolean} allowApiKey - Whether API keys are accepted
+ * @returns {Function} Express middleware
  */
-const protect = async (req, res, next) => {
+const authenticate = (allowApiKey) => async (req, res, next) => {
   try {
+    // API keys act as their owner, limited to the key's scopes, so they are
+    // only accepted on routes that check a scope
+    const key = req.headers['x-api-key'];
+    if (key) {
+      if (!allowApiKey) {
+        res.status(403);
+        throw new Error('This route can not be used with an API key');
+      }
+
+      const apiKey = await findRequestApiKey(req);
+      if (!apiKey) {
+        res.status(401);
+        throw new Error('Not authorized, invalid API key');
+      }
+
+      await touchApiKey(apiKey, req);
+
+      req.user = apiKey.user;
+      req.apiKey = apiKey;
+      return next();
+    }
+
     let token;
 
     // Check if token exists in Authorization header
@@ -26,13 +52,43 @@ const protect = async (req, res, next) => {
       throw new Error('Not authorized, no token');
     }
 
+    // Verify token
+    let decoded;
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      decoded = verifyToken(token);
+    } catch (error) {
+      res.status(401);
+      throw new Error('Not authorized, token failed');
+    }
 
-      // Get user from database
-      const user = await prisma.user.findUnique({
-        where: { id: decoded.id },
+    // Tokens must belong to a session that has not been revoked
+    const session = decoded.sid && await findActiveSession(decoded.sid);
+    if (!session || session.userId !== decoded.id) {
+      res.status(401);
+      throw new Error('Not authorized, session revoked');
+    }
+
+    // Get user from database
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.id },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        emailVerified: true,
+        role: true
+      }
+    });
+
+    if (!user) {
+      res.status(401);
+      throw new Error('Not authorized, user not found');
+    }
+
+    // Impersonation sessions also carry the admin acting as the user
+    if (session.impersonatorId) {
+      const impersonator = await prisma.user.findUnique({
+        where: { id: session.impersonatorId },
         select: {
           id: true,
           name: true,
@@ -41,36 +97,114 @@ const protect = async (req, res, next) => {
         }
       });
 
-      if (!user) {
+      if (!impersonator || !hasPermission(impersonator.role, 'users:impersonate')) {
         res.status(401);
-        throw new Error('Not authorized, user not found');
+        throw new Error('Not authorized, impersonator no longer allowed');
       }
 
-      // Add user to request object
-      req.user = user;
-      next();
-    } catch (error) {
-      res.status(401);
-      throw new Error('Not authorized, token failed');
+      req.impersonator = impersonator;
+      res.set('X-Impersonated-By', impersonator.id);
+
+      // Every request made while impersonating goes into the audit log
+      res.on('finish', () => {
+        recordAudit({
+          actorId: impersonator.id,
+          userId: user.id,
+          action: 'impersonation.request',
+          req,
+          statusCode: res.statusCode
+        });
+      });
     }
+
+    await touchSession(session);
+
+    // Add user and session to request object
+    req.user = user;
+    req.sessionId = session.id;
+    next();
   } catch (error) {
     next(error);
   }
 };
 
 /**
- * Middleware to restrict access to admin users only
+ * Middleware to protect routes that require a signed-in user. API keys are
+ * refused; routes open to them use authorize.
+ */
+const protect = authenticate(false);
+
+/**
+ * Middleware factory restricting access to users whose role grants all of the given permissions
+ * (and, for API keys, whose scopes include them)
+ * @param {...string} permissions - Required permissions (e.g. 'orders:update')
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (permissions.every((permission) => requestHasPermission(req, permission))) {
+    next();
+  } else {
+    res.status(403);
+    throw new Error(`Not authorized, requires ${permissions.join(', ')}`);
+  }
+};
+
+/**
+ * Middleware factory for routes that need permissions: authenticates like
+ * protect but also accepts API keys, whose scopes must include the permissions
+ * @param {...string} permissions - Required permissions (e.g. 'orders:update')
+ * @returns {Function[]} Express middleware
+ */
+const authorize = (...permissions) => [authenticate(true), requirePermission(...permissions)];
+
+/**
+ * Middleware to block sensitive actions (passwords, payment methods, security settings)
+ * while an admin is impersonating the user or when signed in with an API key
  * @param {Request} req - Express request object
  * @param {Response} res - Express response object
  * @param {NextFunction} next - Express next function
  */
-const admin = (req, res, next) => {
-  if (req.user && req.user.role === 'ADMIN') {
-    next();
-  } else {
+const blockImpersonation = (req, res, next) => {
+  if (req.impersonator) {
     res.status(403);
-    throw new Error('Not authorized as an admin');
+    throw new Error('This action is not allowed while impersonating a user');
   }
+
+  if (req.apiKey) {
+    res.status(403);
+    throw new Error('This action is not allowed with an API key');
+  }
+
+  next();
+};
+
+/**
+ * Middleware factory for public routes with a staff preview mode. Requests
+ * with ?preview=true must be signed in with the given permission and get
+ * req.preview set; other requests pass through without authentication.
+ * @param {string} permission - Permission needed to preview (e.g. 'products:write')
+ * @returns {Function} Express middleware
+ */
+const allowPreview = (permission) => (req, res, next) => {
+  if (req.query.preview !== 'true') {
+    return next();
+  }
+
+  authenticate(true)(req, res, (error) => {
+    if (error) {
+      return next(error);
+    }
+
+    if (!requestHasPermission(req, permission)) {
+      res.status(403);
+      return next(new Error(`Not authorized, requires ${permission}`));
+    }
+
+    // Previews can include unpublished products, so must not be cached
+    res.set('Cache-Control', 'private, no-store');
+    req.preview = true;
+    next();
+  });
 };
 
-module.exports = { protect, admin };
\ No newline at end of file
+module.exports = { protect, requirePermission, authorize, blockImpersonation, allowPreview };
\ No newline at end of file
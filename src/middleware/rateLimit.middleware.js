@@ -0,0 +1,57 @@
+const { rateLimit } = require('express-rate-limit');
+const { findRequestApiKey } = require('../utils/auth/apiKeyService');
+
+/**
+ * Per-IP limiter for API requests that don't carry a valid API key
+ */
+const ipLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // Limit each IP to 100 requests per windowMs
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: 'Too many requests from this IP, please try again after 15 minutes'
+});
+
+/**
+ * Per-IP limiter for credential endpoints (login, OTP verification and OTP requests).
+ * Only failed requests count, so users who sign in normally are never throttled.
+ */
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.AUTH_FAILED_ATTEMPTS_PER_IP) || 20, // Failed attempts per IP per windowMs
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { message: 'Too many failed attempts from this IP, please try again after 15 minutes' }
+});
+
+/**
+ * Per-key limiter for requests made with a valid API key, so each key gets
+ * its own budget (the key's rateLimit, or API_KEY_RATE_LIMIT requests per
+ * minute by default)
+ */
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: async (req) => (await findRequestApiKey(req)).rateLimit || parseInt(process.env.API_KEY_RATE_LIMIT) || 120,
+  keyGenerator: async (req) => (await findRequestApiKey(req)).id,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { message: 'API key rate limit exceeded, please try again later' }
+});
+
+/**
+ * Limit every API request: per key when it carries a valid API key, per IP
+ * otherwise. A made-up key is only checked, never trusted, so it can't be
+ * used to get around the IP limit.
+ */
+const apiLimiter = async (req, res, next) => {
+  try {
+    const apiKey = await findRequestApiKey(req);
+
+    return apiKey ? apiKeyLimiter(req, res, next) : ipLimiter(req, res, next);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { authLimiter, apiLimiter };
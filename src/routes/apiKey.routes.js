@@ -0,0 +1,35 @@
+const express = require('express');
+const {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
+} = require('../controllers/apiKey.controller');
+const { protect, requirePermission, blockImpersonation } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// API keys can't be managed while impersonating or with another API key
+router.use(protect, blockImpersonation, requirePermission('apikeys:manage'));
+
+/**
+ * @route GET /api/api-keys
+ * @desc Get all API keys
+ * @access Private
+ */
+router.get('/', getApiKeys);
+
+/**
+ * @route POST /api/api-keys
+ * @desc Create an API key
+ * @access Private
+ */
+router.post('/', createApiKey);
+
+/**
+ * @route DELETE /api/api-keys/:id
+ * @desc Revoke an API key
+ * @access Private
+ */
+router.delete('/:id', revokeApiKey);
+
+module.exports = router;
@@ -4,14 +4,48 @@ const {
     login,
     getProfile,
     updateProfile,
+    confirmEmailChange,
     forgotPassword,
     resetPassword,
     uploadProfilePicture,
     verifyOtp,
+    verifyEmail,
+    resendVerificationEmail,
+    unlockAccount,
+    refresh,
     logout,
     requestOtp,
+    redeemMagicLink,
+    getSessions,
+    deleteSession,
+    deleteOtherSessions,
+    setupTotp,
+    confirmTotp,
+    disableTotp,
+    regenerateRecoveryCodes,
 } = require("../controllers/auth.controller");
-const { protect } = require("../middleware/auth.middleware");
+const {
+    startOidcLogin,
+    oidcCallback,
+} = require("../controllers/oidc.controller");
+const {
+    getRegistrationOptions,
+    verifyRegistration,
+    getPasskeys,
+    deletePasskey,
+    getLoginOptions,
+    verifyLogin,
+} = require("../controllers/passkey.controller");
+const {
+    exportAccountData,
+    requestAccountDeletion,
+    cancelAccountDeletion,
+} = require("../controllers/account.controller");
+const {
+    protect,
+    blockImpersonation,
+} = require("../middleware/auth.middleware");
+const { authLimiter } = require("../middleware/rateLimit.middleware");
 const {
     memoryUpload,
     uploadBufferToCloudinary,
@@ -31,7 +65,21 @@ router.post("/register", register);
  * @desc Authenticate user & get token
  * @access Public
  */
-router.post("/login", login);
+router.post("/login", authLimiter, login);
+
+/**
+ * @route GET /api/auth/oidc/:provider
+ * @desc Start sign-in with an OpenID Connect provider
+ * @access Public
+ */
+router.get("/oidc/:provider", startOidcLogin);
+
+/**
+ * @route GET /api/auth/oidc/:provider/callback
+ * @desc Finish sign-in with an OpenID Connect provider
+ * @access Public
+ */
+router.get("/oidc/:provider/callback", authLimiter, oidcCallback);
 
 /**
  * @route GET /api/profile
@@ -45,7 +93,19 @@ router.get("/profile", protect, getProfile);
  * @desc Update user profile
  * @access Private
  */
-router.put("/profile", protect, updateProfile);
+router.put("/profile", protect, blockImpersonation, updateProfile);
+
+/**
+ * @route POST /api/auth/confirm-email-change
+ * @desc Confirm a pending email change
+ * @access Private
+ */
+router.post(
+    "/confirm-email-change",
+    protect,
+    blockImpersonation,
+    confirmEmailChange
+);
 
 /**
  * @route POST /api/forgot-password
@@ -81,18 +141,195 @@ router.post(
 
 /**
  * @route POST /api/verify-otp
- * @desc Verify OTP sent during login
+ * @desc Verify OTP sent during login or provider sign-in
+ * @access Public
+ */
+router.post("/verify-otp", authLimiter, verifyOtp);
+
+/**
+ * @route POST /api/auth/verify-email
+ * @desc Verify email address
  * @access Public
  */
-router.post("/verify-otp", verifyOtp);
+router.post("/verify-email", verifyEmail);
+
+/**
+ * @route POST /api/auth/resend-verification
+ * @desc Resend the email verification link
+ * @access Private
+ */
+router.post("/resend-verification", protect, resendVerificationEmail);
+
+/**
+ * @route POST /api/auth/unlock
+ * @desc Unlock an account locked after failed sign-in attempts
+ * @access Public
+ */
+router.post("/unlock", authLimiter, unlockAccount);
+
+/**
+ * @route POST /api/auth/refresh
+ * @desc Exchange a refresh token for a new token pair
+ * @access Public
+ */
+router.post("/refresh", refresh);
 
 /**
  * @route POST /api/logout
- * @desc Logout user
+ * @desc Logout user and revoke the current session
+ * @access Private
+ */
+router.post("/logout", protect, logout);
+
+/**
+ * @route POST /api/auth/request-otp
+ * @desc Request OTP or magic sign-in link for login
  * @access Public
  */
-router.post("/logout", logout);
+router.post("/request-otp", authLimiter, requestOtp);
+
+/**
+ * @route POST /api/auth/magic-link
+ * @desc Sign in with a magic link
+ * @access Public
+ */
+router.post("/magic-link", authLimiter, redeemMagicLink);
+
+/**
+ * @route GET /api/auth/sessions
+ * @desc List active sessions (signed-in devices)
+ * @access Private
+ */
+router.get("/sessions", protect, getSessions);
+
+/**
+ * @route DELETE /api/auth/sessions
+ * @desc Sign out everywhere else
+ * @access Private
+ */
+router.delete("/sessions", protect, blockImpersonation, deleteOtherSessions);
 
-router.post("/request-otp", requestOtp);
+/**
+ * @route DELETE /api/auth/sessions/:id
+ * @desc Revoke a session
+ * @access Private
+ */
+router.delete("/sessions/:id", protect, blockImpersonation, deleteSession);
+
+/**
+ * @route POST /api/auth/2fa/totp/setup
+ * @desc Start authenticator app enrollment
+ * @access Private
+ */
+router.post("/2fa/totp/setup", protect, blockImpersonation, setupTotp);
+
+/**
+ * @route POST /api/auth/2fa/totp/confirm
+ * @desc Confirm authenticator app enrollment
+ * @access Private
+ */
+router.post("/2fa/totp/confirm", protect, blockImpersonation, confirmTotp);
+
+/**
+ * @route POST /api/auth/2fa/totp/disable
+ * @desc Disable authenticator app
+ * @access Private
+ */
+router.post("/2fa/totp/disable", protect, blockImpersonation, disableTotp);
+
+/**
+ * @route POST /api/auth/2fa/recovery-codes
+ * @desc Regenerate recovery codes
+ * @access Private
+ */
+router.post(
+    "/2fa/recovery-codes",
+    protect,
+    blockImpersonation,
+    regenerateRecoveryCodes
+);
+
+/**
+ * @route POST /api/auth/passkeys/register/options
+ * @desc Get options for registering a passkey
+ * @access Private
+ */
+router.post(
+    "/passkeys/register/options",
+    protect,
+    blockImpersonation,
+    getRegistrationOptions
+);
+
+/**
+ * @route POST /api/auth/passkeys/register/verify
+ * @desc Verify and save a new passkey
+ * @access Private
+ */
+router.post(
+    "/passkeys/register/verify",
+    protect,
+    blockImpersonation,
+    verifyRegistration
+);
+
+/**
+ * @route POST /api/auth/passkeys/login/options
+ * @desc Get options for signing in with a passkey
+ * @access Public
+ */
+router.post("/passkeys/login/options", getLoginOptions);
+
+/**
+ * @route POST /api/auth/passkeys/login/verify
+ * @desc Sign in with a passkey
+ * @access Public
+ */
+router.post("/passkeys/login/verify", authLimiter, verifyLogin);
+
+/**
+ * @route GET /api/auth/passkeys
+ * @desc List passkeys
+ * @access Private
+ */
+router.get("/passkeys", protect, getPasskeys);
+
+/**
+ * @route DELETE /api/auth/passkeys/:id
+ * @desc Remove a passkey
+ * @access Private
+ */
+router.delete("/passkeys/:id", protect, blockImpersonation, deletePasskey);
+
+/**
+ * @route GET /api/auth/account/export
+ * @desc Download a copy of your account data
+ * @access Private
+ */
+router.get("/account/export", protect, blockImpersonation, exportAccountData);
+
+/**
+ * @route POST /api/auth/account/deletion
+ * @desc Schedule deletion of your account
+ * @access Private
+ */
+router.post(
+    "/account/deletion",
+    protect,
+    blockImpersonation,
+    requestAccountDeletion
+);
+
+/**
+ * @route DELETE /api/auth/account/deletion
+ * @desc Cancel a scheduled account deletion
+ * @access Private
+ */
+router.delete(
+    "/account/deletion",
+    protect,
+    blockImpersonation,
+    cancelAccountDeletion
+);
 
 module.exports = router;
@@ -6,7 +6,7 @@ const {
   updateCategory,
   deleteCategory
 } = require('../controllers/category.controller');
-const { protect, admin } = require('../middleware/auth.middleware');
+const { authorize } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
@@ -29,20 +29,20 @@ router.get('/:idOrSlug', getCategoryByIdOrSlug);
  * @desc Create a new category
  * @access Private
  */
-router.post('/', protect, admin, createCategory);
+router.post('/', authorize('categories:write'), createCategory);
 
 /**
  * @route PUT /api/categories/:id
  * @desc Update a category
  * @access Private
  */
-router.put('/:id', protect, admin, updateCategory);
+router.put('/:id', authorize('categories:write'), updateCategory);
 
 /**
  * @route DELETE /api/categories/:id
  * @desc Delete a category
  * @access Private
  */
-router.delete('/:id', protect, admin, deleteCategory);
+router.delete('/:id', authorize('categories:write'), deleteCategory);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,66 @@
+const express = require('express');
+const {
+  getLocations,
+  createLocation,
+  updateLocation,
+  getProductStock,
+  adjustStock,
+  transferStock,
+  getMovements
+} = require('../controllers/inventory.controller');
+const { authorize } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+router.use(authorize('inventory:manage'));
+
+/**
+ * @route GET /api/inventory/locations
+ * @desc Get all stock locations
+ * @access Private
+ */
+router.get('/locations', getLocations);
+
+/**
+ * @route POST /api/inventory/locations
+ * @desc Create a stock location
+ * @access Private
+ */
+router.post('/locations', createLocation);
+
+/**
+ * @route PUT /api/inventory/locations/:id
+ * @desc Update a stock location
+ * @access Private
+ */
+router.put('/locations/:id', updateLocation);
+
+/**
+ * @route GET /api/inventory/products/:productId
+ * @desc Get a product's stock at each location
+ * @access Private
+ */
+router.get('/products/:productId', getProductStock);
+
+/**
+ * @route POST /api/inventory/adjustments
+ * @desc Receive or adjust stock at a location
+ * @access Private
+ */
+router.post('/adjustments', adjustStock);
+
+/**
+ * @route POST /api/inventory/transfers
+ * @desc Transfer stock between locations
+ * @access Private
+ */
+router.post('/transfers', transferStock);
+
+/**
+ * @route GET /api/inventory/movements
+ * @desc Get the stock movement ledger
+ * @access Private
+ */
+router.get('/movements', getMovements);
+
+module.exports = router;
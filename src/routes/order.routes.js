@@ -7,53 +7,50 @@ const {
   updatePaymentStatus,
   getAllOrders
 } = require('../controllers/order.controller');
-const { protect, admin } = require('../middleware/auth.middleware');
+const { protect, authorize } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
-// All order routes are protected
-router.use(protect);
-
 /**
  * @route POST /api/orders
  * @desc Create a new order
  * @access Private
  */
-router.post('/', createOrder);
+router.post('/', protect, createOrder);
 
 /**
  * @route GET /api/orders
  * @desc Get all user orders
  * @access Private
  */
-router.get('/', getUserOrders);
+router.get('/', protect, getUserOrders);
 
 /**
  * @route GET /api/orders/admin
- * @desc Get all orders (admin only)
+ * @desc Get all orders (staff only)
  * @access Private
  */
-router.get('/admin', admin, getAllOrders);
+router.get('/admin', authorize('orders:read'), getAllOrders);
 
 /**
  * @route GET /api/orders/:id
  * @desc Get order by ID
  * @access Private
  */
-router.get('/:id', getOrderById);
+router.get('/:id', protect, getOrderById);
 
 /**
  * @route PUT /api/orders/:id/status
  * @desc Update order status
  * @access Private
  */
-router.put('/:id/status', admin, updateOrderStatus);
+router.put('/:id/status', authorize('orders:update'), updateOrderStatus);
 
 /**
  * @route PUT /api/orders/:id/payment
  * @desc Update payment status
  * @access Private
  */
-router.put('/:id/payment', admin, updatePaymentStatus);
+router.put('/:id/payment', authorize('payments:update'), updatePaymentStatus);
 
 module.exports = router;
\ No newline at end of file
@@ -1,23 +1,49 @@
 const express = require('express');
 const {
   getProducts,
+  getProductSuggestions,
   getProductById,
   createProduct,
   updateProduct,
   deleteProduct,
   createProductReview,
-  getTopProducts
+  getTopProducts,
+  createProductVariant,
+  updateProductVariant,
+  deleteProductVariant
 } = require('../controllers/product.controller');
-const { protect, admin } = require('../middleware/auth.middleware');
+const {
+  importProducts,
+  getImportJobs,
+  getImportJob,
+  getImportJobErrors,
+  exportProducts
+} = require('../controllers/productImport.controller');
+const {
+  getPriceHistory,
+  getPriceSchedules,
+  createPriceSchedule,
+  deletePriceSchedule
+} = require('../controllers/productPrice.controller');
+const { protect, authorize, allowPreview } = require('../middleware/auth.middleware');
+const { importUpload } = require('../utils/cloudinary/uploadMiddleware');
 
 const router = express.Router();
 
 /**
  * @route GET /api/products
  * @desc Get all products with pagination, filtering, and sorting
+ * (with ?preview=true, staff also see draft, scheduled and archived products)
  * @access Public
  */
-router.get('/', getProducts);
+router.get('/', allowPreview('products:write'), getProducts);
+
+/**
+ * @route GET /api/products/suggest
+ * @desc Get search suggestions (products, brands, categories) for a partly typed query
+ * @access Public
+ */
+router.get('/suggest', getProductSuggestions);
 
 /**
  * @route GET /api/products/top
@@ -26,33 +52,68 @@ router.get('/', getProducts);
  */
 router.get('/top', getTopProducts);
 
+/**
+ * @route POST /api/products/import
+ * @desc Import products from a CSV or JSON file (runs in the background)
+ * @access Private
+ */
+router.post('/import', authorize('products:write'), importUpload.single('file'), importProducts);
+
+/**
+ * @route GET /api/products/import
+ * @desc Get recent product imports
+ * @access Private
+ */
+router.get('/import', authorize('products:write'), getImportJobs);
+
+/**
+ * @route GET /api/products/import/:id
+ * @desc Get the status and progress of a product import
+ * @access Private
+ */
+router.get('/import/:id', authorize('products:write'), getImportJob);
+
+/**
+ * @route GET /api/products/import/:id/errors
+ * @desc Download the rows of a product import that failed, with the reasons
+ * @access Private
+ */
+router.get('/import/:id/errors', authorize('products:write'), getImportJobErrors);
+
+/**
+ * @route GET /api/products/export
+ * @desc Export the catalog as CSV or JSON
+ * @access Private
+ */
+router.get('/export', authorize('products:write'), exportProducts);
+
 /**
  * @route GET /api/products/:id
- * @desc Get product by ID or slug
+ * @desc Get product by ID or slug (with ?preview=true, staff can view unpublished products)
  * @access Public
  */
-router.get('/:id', getProductById);
+router.get('/:id', allowPreview('products:write'), getProductById);
 
 /**
  * @route POST /api/products
  * @desc Create a new product
  * @access Private
  */
-router.post('/', protect, admin, createProduct);
+router.post('/', authorize('products:write'), createProduct);
 
 /**
  * @route PUT /api/products/:id
  * @desc Update a product
  * @access Private
  */
-router.put('/:id', protect, admin, updateProduct);
+router.put('/:id', authorize('products:write'), updateProduct);
 
 /**
  * @route DELETE /api/products/:id
  * @desc Delete a product
  * @access Private
  */
-router.delete('/:id', protect, admin, deleteProduct);
+router.delete('/:id', authorize('products:write'), deleteProduct);
 
 /**
  * @route POST /api/products/:id/reviews
@@ -61,4 +122,53 @@ router.delete('/:id', protect, admin, deleteProduct);
  */
 router.post('/:id/reviews', protect, createProductReview);
 
+/**
+ * @route POST /api/products/:id/variants
+ * @desc Add a variant to a product
+ * @access Private
+ */
+router.post('/:id/variants', authorize('products:write'), createProductVariant);
+
+/**
+ * @route PUT /api/products/:id/variants/:variantId
+ * @desc Update a product variant
+ * @access Private
+ */
+router.put('/:id/variants/:variantId', authorize('products:write'), updateProductVariant);
+
+/**
+ * @route DELETE /api/products/:id/variants/:variantId
+ * @desc Delete a product variant
+ * @access Private
+ */
+router.delete('/:id/variants/:variantId', authorize('products:write'), deleteProductVariant);
+
+/**
+ * @route GET /api/products/:id/price-history
+ * @desc Get a product's price history
+ * @access Private
+ */
+router.get('/:id/price-history', authorize('products:write'), getPriceHistory);
+
+/**
+ * @route GET /api/products/:id/price-schedules
+ * @desc Get a product's upcoming and running price schedules
+ * @access Private
+ */
+router.get('/:id/price-schedules', authorize('products:write'), getPriceSchedules);
+
+/**
+ * @route POST /api/products/:id/price-schedules
+ * @desc Schedule a price or discount change for a product
+ * @access Private
+ */
+router.post('/:id/price-schedules', authorize('products:write'), createPriceSchedule);
+
+/**
+ * @route DELETE /api/products/:id/price-schedules/:scheduleId
+ * @desc Cancel a price schedule (ending it if it is running)
+ * @access Private
+ */
+router.delete('/:id/price-schedules/:scheduleId', authorize('products:write'), deletePriceSchedule);
+
 module.exports = router;
\ No newline at end of file
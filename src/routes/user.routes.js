@@ -2,6 +2,8 @@ const express = require('express');
 const {
   getUsers,
   getUserById,
+  impersonateUser,
+  getUserAuditLog,
   updateUser,
   deleteUser,
   addAddress,
@@ -10,7 +12,7 @@ const {
   addPaymentMethod,
   deletePaymentMethod
 } = require('../controllers/user.controller');
-const { protect, admin } = require('../middleware/auth.middleware');
+const { protect, requirePermission, authorize, blockImpersonation } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
@@ -19,28 +21,42 @@ const router = express.Router();
  * @desc Get all users
  * @access Private
  */
-router.get('/', protect, admin, getUsers);
+router.get('/', authorize('users:read'), getUsers);
 
 /**
  * @route GET /api/users/:id
  * @desc Get user by ID
  * @access Private
  */
-router.get('/:id', protect, admin, getUserById);
+router.get('/:id', authorize('users:read'), getUserById);
+
+/**
+ * @route POST /api/users/:id/impersonate
+ * @desc Get a short-lived token to act as a customer
+ * @access Private
+ */
+router.post('/:id/impersonate', protect, requirePermission('users:impersonate'), impersonateUser);
+
+/**
+ * @route GET /api/users/:id/audit-log
+ * @desc Get audit log entries for a user's account
+ * @access Private
+ */
+router.get('/:id/audit-log', authorize('users:read'), getUserAuditLog);
 
 /**
  * @route PUT /api/users/:id
  * @desc Update user
  * @access Private
  */
-router.put('/:id', protect, admin, updateUser);
+router.put('/:id', authorize('users:write'), updateUser);
 
 /**
  * @route DELETE /api/users/:id
  * @desc Delete user
  * @access Private
  */
-router.delete('/:id', protect, admin, deleteUser);
+router.delete('/:id', authorize('users:delete'), deleteUser);
 
 /**
  * @route POST /api/users/addresses
@@ -68,13 +84,13 @@ router.delete('/addresses/:id', protect, deleteAddress);
  * @desc Add payment method
  * @access Private
  */
-router.post('/payment-methods', protect, addPaymentMethod);
+router.post('/payment-methods', protect, blockImpersonation, addPaymentMethod);
 
 /**
  * @route DELETE /api/users/payment-methods/:id
  * @desc Delete payment method
  * @access Private
  */
-router.delete('/payment-methods/:id', protect, deletePaymentMethod);
+router.delete('/payment-methods/:id', protect, blockImpersonation, deletePaymentMethod);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,13 @@
+const express = require('express');
+const { getJwksDocument } = require('../controllers/wellKnown.controller');
+
+const router = express.Router();
+
+/**
+ * @route GET /.well-known/jwks.json
+ * @desc Get the JSON Web Key Set for verifying access tokens
+ * @access Public
+ */
+router.get('/jwks.json', getJwksDocument);
+
+module.exports = router;
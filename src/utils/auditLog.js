@@ -0,0 +1,37 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('./logger');
+
+const prisma = new PrismaClient();
+
+/**
+ * Record an entry in the audit log. Failures are logged rather than thrown
+ * so auditing never breaks the request being audited.
+ * @param {Object} entry - Audit entry
+ * @param {string} entry.actorId - Who performed the action
+ * @param {string} [entry.userId] - Whose account the action was performed on
+ * @param {string} entry.action - What happened (e.g. 'impersonation.start')
+ * @param {Request} [entry.req] - Express request object (for method, path and IP)
+ * @param {number} [entry.statusCode] - Response status code
+ * @param {Object} [entry.metadata] - Extra details
+ * @returns {Promise<void>}
+ */
+const recordAudit = async ({ actorId, userId, action, req, statusCode, metadata }) => {
+  try {
+    await prisma.auditLog.create({
+      data: {
+        actorId,
+        userId,
+        action,
+        method: req?.method,
+        path: req?.originalUrl,
+        statusCode,
+        ipAddress: req?.ip,
+        metadata
+      }
+    });
+  } catch (error) {
+    logger.error(`Error writing audit log: ${error.message}`);
+  }
+};
+
+module.exports = { recordAudit };
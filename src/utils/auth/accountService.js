@@ -0,0 +1,190 @@
+const { PrismaClient } = require("@prisma/client");
+const logger = require("../logger");
+const { recordAudit } = require("../auditLog");
+
+const prisma = new PrismaClient();
+
+// Orders that still need the customer's address and payment details
+const OPEN_ORDER_STATUSES = ["PENDING", "PROCESSING", "SHIPPED"];
+
+/**
+ * Normalise an email address the one way it is stored and looked up, so
+ * "Foo@x.com" and "foo@x.com" are the same account
+ * @param {string} email - Email address as entered
+ * @returns {string} Trimmed, lower-case email (other values are returned as they are)
+ */
+const normalizeEmail = (email) => {
+    return typeof email === "string" ? email.trim().toLowerCase() : email;
+};
+
+/**
+ * Create a user together with the empty cart and wishlist every account starts with
+ * @param {Object} data - User fields (name, email, hashed password, ...)
+ * @param {Object} [select] - Prisma select for the returned user
+ * @returns {Promise<Object>} Created user
+ */
+const createUserAccount = async (data, select) => {
+    return prisma.user.create({
+        data: {
+            ...data,
+            email: normalizeEmail(data.email),
+            cart: {
+                create: {}, // Create an empty cart for the user
+            },
+            wishlist: {
+                create: {}, // Create an empty wishlist for the user
+            },
+        },
+        select,
+    });
+};
+
+/**
+ * Check whether a user has orders that haven't been delivered or cancelled yet
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} Whether there are open orders
+ */
+const hasOpenOrders = async (userId) => {
+    const count = await prisma.order.count({
+        where: { userId, status: { in: OPEN_ORDER_STATUSES } },
+    });
+
+    return count > 0;
+};
+
+/**
+ * Gather everything stored about a user for a data export
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Profile, addresses, payment methods, orders, reviews and wishlist
+ */
+const exportUserData = async (userId) => {
+    const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+            id: true,
+            name: true,
+            email: true,
+            emailVerified: true,
+            profilePicture: true,
+            role: true,
+            twoFactorMethod: true,
+            deletionScheduledAt: true,
+            createdAt: true,
+            updatedAt: true,
+            identities: {
+                select: { provider: true, email: true, createdAt: true },
+            },
+            passkeys: {
+                select: { name: true, deviceType: true, createdAt: true },
+            },
+            addresses: true,
+            paymentMethods: true,
+            orders: {
+                include: {
+                    items: {
+                        include: {
+                            product: { select: { id: true, name: true } },
+                        },
+                    },
+                },
+                orderBy: { createdAt: "desc" },
+            },
+            reviews: {
+                include: {
+                    product: { select: { id: true, name: true } },
+                },
+                orderBy: { createdAt: "desc" },
+            },
+            wishlist: {
+                select: {
+                    items: {
+                        include: {
+                            product: { select: { id: true, name: true } },
+                        },
+                    },
+                },
+            },
+        },
+    });
+
+    if (!user) {
+        return null;
+    }
+
+    const { addresses, paymentMethods, orders, reviews, wishlist, ...profile } =
+        user;
+
+    return {
+        profile,
+        addresses,
+        paymentMethods,
+        orders,
+        reviews,
+        wishlist: wishlist ? wishlist.items : [],
+    };
+};
+
+/**
+ * Delete a user's account. Orders and reviews are kept for the shop's
+ * records but detached from the account, and everything else that
+ * identifies the user (addresses, payment methods, sessions, sign-in
+ * methods, cart and wishlist) is removed with it.
+ * @param {string} userId - User ID
+ * @param {string} [actorId] - Who deleted the account, if not the user
+ * @returns {Promise<void>}
+ */
+const deleteUserAccount = async (userId, actorId) => {
+    await prisma.$transaction([
+        // Order notes are free text and may contain personal details
+        prisma.order.updateMany({
+            where: { userId },
+            data: { notes: null },
+        }),
+        prisma.webAuthnChallenge.deleteMany({ where: { userId } }),
+        prisma.user.delete({ where: { id: userId } }),
+    ]);
+
+    await recordAudit({
+        actorId: actorId || userId,
+        userId,
+        action: "account.delete",
+    });
+
+    logger.info(`Account ${userId} deleted`);
+};
+
+/**
+ * Delete every account whose deletion grace period has ended. Accounts with
+ * orders still in progress are left until those orders are finished.
+ * @returns {Promise<number>} Number of accounts deleted
+ */
+const purgeScheduledDeletions = async () => {
+    const users = await prisma.user.findMany({
+        where: { deletionScheduledAt: { lte: new Date() } },
+        select: { id: true },
+    });
+
+    let deleted = 0;
+    for (const user of users) {
+        if (await hasOpenOrders(user.id)) {
+            logger.info(
+                `Deletion of account ${user.id} postponed until its open orders are finished`
+            );
+            continue;
+        }
+
+        await deleteUserAccount(user.id);
+        deleted++;
+    }
+
+    return deleted;
+};
+
+module.exports = {
+    normalizeEmail,
+    createUserAccount,
+    hasOpenOrders,
+    exportUserData,
+    deleteUserAccount,
+    purgeScheduledDeletions,
+};
@@ -0,0 +1,105 @@
+const crypto = require("crypto");
+const { PrismaClient } = require("@prisma/client");
+const { hashToken } = require("./tokenHash");
+
+const prisma = new PrismaClient();
+
+const KEY_PREFIX = "ak_";
+const DISPLAY_PREFIX_LENGTH = 11; // "ak_" plus 8 characters of the key
+const LAST_USED_RESOLUTION_MS = 60 * 1000; // 1 minute
+
+/**
+ * Generate a new API key. Only the hash is stored; the key itself is shown once.
+ * @returns {{ key: string, keyPrefix: string, keyHash: string }} Key, display prefix and hash
+ */
+const generateApiKey = () => {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+
+    return {
+        key,
+        keyPrefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+        keyHash: hashToken(key),
+    };
+};
+
+/**
+ * Find the API key matching a key sent by a client, if it is still usable
+ * @param {string} key - Key from the X-API-Key header
+ * @returns {Promise<Object|null>} API key with its owner, or null if unknown, revoked or expired
+ */
+const findActiveApiKey = async (key) => {
+    if (!key.startsWith(KEY_PREFIX)) {
+        return null;
+    }
+
+    const apiKey = await prisma.apiKey.findUnique({
+        where: { keyHash: hashToken(key) },
+        include: {
+            user: {
+                select: {
+                    id: true,
+                    name: true,
+                    email: true,
+                    emailVerified: true,
+                    role: true,
+                },
+            },
+        },
+    });
+
+    if (
+        !apiKey ||
+        apiKey.revokedAt ||
+        (apiKey.expiresAt && apiKey.expiresAt < new Date())
+    ) {
+        return null;
+    }
+
+    return apiKey;
+};
+
+/**
+ * Find the usable API key a request carries in its X-API-Key header. The
+ * lookup is kept on the request, so the rate limiter and authentication
+ * share one query.
+ * @param {Request} req - Express request object
+ * @returns {Promise<Object|null>} API key with its owner, or null if there is no usable key
+ */
+const findRequestApiKey = (req) => {
+    if (!req.apiKeyLookup) {
+        const key = req.headers["x-api-key"];
+        req.apiKeyLookup = key
+            ? findActiveApiKey(String(key))
+            : Promise.resolve(null);
+    }
+
+    return req.apiKeyLookup;
+};
+
+/**
+ * Record that an API key was used. Writes are throttled so busy
+ * integrations don't update the row on every request.
+ * @param {Object} apiKey - API key
+ * @param {Request} req - Express request object (for IP)
+ * @returns {Promise<void>}
+ */
+const touchApiKey = async (apiKey, req) => {
+    if (
+        apiKey.lastUsedAt &&
+        Date.now() - apiKey.lastUsedAt.getTime() < LAST_USED_RESOLUTION_MS
+    ) {
+        return;
+    }
+
+    await prisma.apiKey.update({
+        where: { id: apiKey.id },
+        data: { lastUsedAt: new Date(), lastUsedIp: req.ip || null },
+    });
+};
+
+module.exports = {
+    generateApiKey,
+    findActiveApiKey,
+    findRequestApiKey,
+    touchApiKey,
+};
@@ -0,0 +1,182 @@
+const crypto = require("crypto");
+const { PrismaClient } = require("@prisma/client");
+const logger = require("../logger");
+const emailService = require("../email/emailService");
+const { hashToken } = require("./tokenHash");
+
+const prisma = new PrismaClient();
+
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS) || 10;
+const LOCKOUT_MINUTES = parseInt(process.env.LOCKOUT_MINUTES) || 30;
+const MAX_OTP_ATTEMPTS = parseInt(process.env.MAX_OTP_ATTEMPTS) || 5;
+const FREE_ATTEMPTS = 2; // failures allowed before delays kick in
+const MAX_DELAY_SECONDS = 5 * 60;
+const UNLOCK_TOKEN_HOURS = 24;
+
+/**
+ * Work out how long a user must wait before trying to sign in again
+ * @param {Object} user - User object
+ * @returns {{ locked: boolean, retryAfter: number }} Lock state and seconds to wait
+ */
+const getLockState = (user) => {
+    const now = Date.now();
+
+    if (user.lockedUntil && user.lockedUntil.getTime() > now) {
+        return {
+            locked: true,
+            retryAfter: Math.ceil((user.lockedUntil.getTime() - now) / 1000),
+        };
+    }
+
+    // Progressive delay: 2s, 4s, 8s, ... after the free attempts are used up
+    if (user.failedLoginAttempts > FREE_ATTEMPTS && user.lastFailedLoginAt) {
+        const delay = Math.min(
+            2 ** (user.failedLoginAttempts - FREE_ATTEMPTS),
+            MAX_DELAY_SECONDS
+        );
+        const waitUntil = user.lastFailedLoginAt.getTime() + delay * 1000;
+
+        if (waitUntil > now) {
+            return {
+                locked: false,
+                retryAfter: Math.ceil((waitUntil - now) / 1000),
+            };
+        }
+    }
+
+    return { locked: false, retryAfter: 0 };
+};
+
+/**
+ * Reject the request if the account is locked or still in a delay period.
+ * Sets the response status and Retry-After header before throwing.
+ * @param {Object} user - User object
+ * @param {Response} res - Express response object
+ */
+const assertCanAttempt = (user, res) => {
+    const { locked, retryAfter } = getLockState(user);
+
+    if (locked) {
+        res.status(423);
+        res.set("Retry-After", String(retryAfter));
+        throw new Error(
+            "Account is temporarily locked due to too many failed attempts. Check your email to unlock it."
+        );
+    }
+
+    if (retryAfter > 0) {
+        res.status(429);
+        res.set("Retry-After", String(retryAfter));
+        throw new Error(
+            `Too many failed attempts, please try again in ${retryAfter} seconds`
+        );
+    }
+};
+
+/**
+ * Lock an account and email the owner an unlock link
+ * @param {Object} user - User object
+ * @returns {Promise<void>}
+ */
+const lockAccount = async (user) => {
+    const unlockToken = crypto.randomBytes(32).toString("hex");
+    const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+
+    await prisma.user.update({
+        where: { id: user.id },
+        data: {
+            lockedUntil,
+            unlockTokenHash: hashToken(unlockToken),
+            unlockTokenExpiry: new Date(
+                Date.now() + UNLOCK_TOKEN_HOURS * 60 * 60 * 1000
+            ),
+            otpHash: null,
+            otpExpiry: null,
+        },
+    });
+
+    logger.warn(`Account ${user.id} locked after repeated failed attempts`);
+
+    try {
+        await emailService.sendAccountLockedEmail(user, unlockToken);
+    } catch (emailError) {
+        logger.error(`Error sending account locked email: ${emailError.message}`);
+    }
+};
+
+/**
+ * Record a failed password or second-factor attempt, locking the account
+ * once the limit is reached. Once a lock has run out the count starts again,
+ * so the next failure doesn't lock the account straight away.
+ * @param {Object} user - User object
+ * @returns {Promise<void>}
+ */
+const recordFailedLogin = async (user) => {
+    await prisma.user.updateMany({
+        where: { id: user.id, lockedUntil: { lte: new Date() } },
+        data: {
+            failedLoginAttempts: 0,
+            lockedUntil: null,
+            unlockTokenHash: null,
+            unlockTokenExpiry: null,
+        },
+    });
+
+    const updated = await prisma.user.update({
+        where: { id: user.id },
+        data: {
+            failedLoginAttempts: { increment: 1 },
+            lastFailedLoginAt: new Date(),
+        },
+    });
+
+    if (updated.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+        await lockAccount(updated);
+    }
+};
+
+/**
+ * Record a wrong OTP guess. The OTP is thrown away after too many wrong
+ * guesses so it can't be brute-forced.
+ * @param {Object} user - User object
+ * @returns {Promise<boolean>} Whether the OTP was invalidated
+ */
+const recordFailedOtp = async (user) => {
+    const updated = await prisma.user.update({
+        where: { id: user.id },
+        data: { otpAttempts: { increment: 1 } },
+    });
+
+    await recordFailedLogin(user);
+
+    if (updated.otpAttempts >= MAX_OTP_ATTEMPTS) {
+        await prisma.user.update({
+            where: { id: user.id },
+            data: { otpHash: null, otpExpiry: null, otpAttempts: 0 },
+        });
+        return true;
+    }
+
+    return false;
+};
+
+/**
+ * Data that clears all failed-attempt tracking after a successful sign-in
+ * @returns {Object} User update
+ */
+const resetAttemptsData = () => ({
+    failedLoginAttempts: 0,
+    lastFailedLoginAt: null,
+    otpAttempts: 0,
+    lockedUntil: null,
+    unlockTokenHash: null,
+    unlockTokenExpiry: null,
+});
+
+module.exports = {
+    getLockState,
+    assertCanAttempt,
+    recordFailedLogin,
+    recordFailedOtp,
+    resetAttemptsData,
+};
@@ -0,0 +1,80 @@
+const { Issuer } = require("openid-client");
+const logger = require("../logger");
+
+// Discovered clients, keyed by provider name
+const clients = new Map();
+
+/**
+ * Read the configuration for a sign-in provider from the environment.
+ * Providers are listed in OIDC_PROVIDERS (e.g. "google,apple") and each one
+ * is configured with OIDC_<NAME>_ISSUER, OIDC_<NAME>_CLIENT_ID,
+ * OIDC_<NAME>_CLIENT_SECRET and optionally OIDC_<NAME>_SCOPES. Pointing
+ * the issuer at a local mock OIDC server works the same as a real one.
+ * @param {string} name - Provider name
+ * @returns {Object|null} Provider configuration, or null if not enabled
+ */
+const getProviderConfig = (name) => {
+    const enabled = (process.env.OIDC_PROVIDERS || "")
+        .split(",")
+        .map((provider) => provider.trim().toLowerCase())
+        .filter(Boolean);
+
+    if (!enabled.includes(name)) {
+        return null;
+    }
+
+    const prefix = `OIDC_${name.toUpperCase()}_`;
+    const issuer = process.env[`${prefix}ISSUER`];
+    const clientId = process.env[`${prefix}CLIENT_ID`];
+
+    if (!issuer || !clientId) {
+        logger.error(`Sign-in provider ${name} is enabled but not configured`);
+        return null;
+    }
+
+    return {
+        name,
+        issuer,
+        clientId,
+        clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+        scopes: process.env[`${prefix}SCOPES`] || "openid email profile",
+        redirectUri: `${process.env.SERVER_URL}/api/auth/oidc/${name}/callback`,
+    };
+};
+
+/**
+ * Get an OpenID Connect client for a provider, discovering the issuer on first use
+ * @param {string} name - Provider name
+ * @returns {Promise<{ client: Object, config: Object }|null>} Client and config, or null if the provider is unknown
+ */
+const getProviderClient = async (name) => {
+    const config = getProviderConfig(name);
+    if (!config) {
+        return null;
+    }
+
+    if (!clients.has(name)) {
+        const issuer = await Issuer.discover(config.issuer);
+
+        clients.set(
+            name,
+            new issuer.Client({
+                client_id: config.clientId,
+                client_secret: config.clientSecret,
+                redirect_uris: [config.redirectUri],
+                response_types: ["code"],
+                token_endpoint_auth_method: config.clientSecret
+                    ? "client_secret_basic"
+                    : "none",
+            })
+        );
+
+        logger.info(`Discovered sign-in provider ${name} at ${config.issuer}`);
+    }
+
+    return { client: clients.get(name), config };
+};
+
+module.exports = {
+    getProviderClient,
+};
@@ -0,0 +1,213 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const logger = require("../logger");
+
+const MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH) || 8;
+const MAX_LENGTH = 72; // bcrypt ignores anything past 72 bytes
+const MIN_SCORE = parseInt(process.env.PASSWORD_MIN_SCORE) || 2;
+const BREACH_CHECK_ENABLED = process.env.PASSWORD_BREACH_CHECK !== "false";
+const BREACHED_PASSWORDS_FILE =
+    process.env.BREACHED_PASSWORDS_FILE ||
+    path.join(__dirname, "data", "breached-passwords.txt");
+
+// Entropy (in bits) needed for each score from 1 to 4
+const SCORE_THRESHOLDS = [28, 36, 60, 128];
+
+// Breached password hash suffixes, keyed by 5-character SHA-1 prefix
+let breachedHashes;
+
+/**
+ * Load the breached password list. Each line is an upper-case SHA-1 hash,
+ * optionally followed by `:<count>`, which is the format of the Have I Been
+ * Pwned "ordered by hash" download, so the bundled list of common passwords
+ * can be swapped for a bigger one. Hashes are bucketed by their first five
+ * characters, the same way the Pwned Passwords range API works.
+ * @returns {Map<string, Set<string>>} Hash suffixes by prefix
+ */
+const loadBreachedHashes = () => {
+    const buckets = new Map();
+
+    try {
+        fs.readFileSync(BREACHED_PASSWORDS_FILE, "utf8")
+            .split("\n")
+            .forEach((line) => {
+                const hash = line.split(":")[0].trim().toUpperCase();
+                if (hash.length !== 40) {
+                    return;
+                }
+
+                const prefix = hash.slice(0, 5);
+                if (!buckets.has(prefix)) {
+                    buckets.set(prefix, new Set());
+                }
+                buckets.get(prefix).add(hash.slice(5));
+            });
+    } catch (error) {
+        logger.error(`Error loading breached passwords: ${error.message}`);
+    }
+
+    return buckets;
+};
+
+/**
+ * Check whether a password appears in the breached password list
+ * @param {string} password - Password to check
+ * @returns {boolean} Whether the password is known to be breached
+ */
+const isBreachedPassword = (password) => {
+    if (!breachedHashes) {
+        breachedHashes = loadBreachedHashes();
+    }
+
+    const hash = crypto
+        .createHash("sha1")
+        .update(password)
+        .digest("hex")
+        .toUpperCase();
+    const bucket = breachedHashes.get(hash.slice(0, 5));
+
+    return Boolean(bucket && bucket.has(hash.slice(5)));
+};
+
+/**
+ * Get the number of possible characters for each kind of character used
+ * @param {string} password - Password
+ * @returns {number} Character pool size
+ */
+const characterPoolSize = (password) => {
+    let size = 0;
+
+    if (/[a-z]/.test(password)) size += 26;
+    if (/[A-Z]/.test(password)) size += 26;
+    if (/[0-9]/.test(password)) size += 10;
+    if (/[^a-zA-Z0-9]/.test(password)) size += 33;
+
+    return size;
+};
+
+/**
+ * Estimate a password's entropy. Characters that repeat or continue a
+ * sequence from the one before (aaa, abc, 321) only count for one bit.
+ * @param {string} password - Password
+ * @returns {number} Estimated entropy in bits
+ */
+const estimateEntropy = (password) => {
+    const bitsPerChar = Math.log2(characterPoolSize(password) || 1);
+    let entropy = 0;
+
+    for (let i = 0; i < password.length; i++) {
+        const step =
+            i > 0 ? password.charCodeAt(i) - password.charCodeAt(i - 1) : null;
+
+        entropy += step !== null && Math.abs(step) <= 1 ? 1 : bitsPerChar;
+    }
+
+    return entropy;
+};
+
+/**
+ * Score a password from 0 (very weak) to 4 (very strong)
+ * @param {string} password - Password
+ * @returns {number} Score
+ */
+const scorePassword = (password) => {
+    const entropy = estimateEntropy(password);
+
+    return SCORE_THRESHOLDS.filter((threshold) => entropy >= threshold).length;
+};
+
+/**
+ * Check a password against the policy
+ * @param {string} password - Proposed password
+ * @param {Object} [user] - Account the password is for (name and email aren't allowed in it)
+ * @returns {Array<{ field: string, code: string, message: string }>} Problems found (empty if the password is acceptable)
+ */
+const validatePassword = (password, user = {}) => {
+    if (typeof password !== "string" || password.length === 0) {
+        return [
+            {
+                field: "password",
+                code: "required",
+                message: "Password is required",
+            },
+        ];
+    }
+
+    const errors = [];
+
+    if (password.length < MIN_LENGTH) {
+        errors.push({
+            field: "password",
+            code: "too_short",
+            message: `Password must be at least ${MIN_LENGTH} characters long`,
+        });
+    }
+
+    if (Buffer.byteLength(password) > MAX_LENGTH) {
+        errors.push({
+            field: "password",
+            code: "too_long",
+            message: `Password must be at most ${MAX_LENGTH} characters long`,
+        });
+    }
+
+    const lowered = password.toLowerCase();
+    const personalInfo = [
+        user.name,
+        user.email,
+        user.email && user.email.split("@")[0],
+    ].filter((value) => value && value.length >= 3);
+
+    if (personalInfo.some((value) => lowered.includes(value.toLowerCase()))) {
+        errors.push({
+            field: "password",
+            code: "contains_personal_info",
+            message: "Password must not contain your name or email address",
+        });
+    }
+
+    if (scorePassword(password) < MIN_SCORE) {
+        errors.push({
+            field: "password",
+            code: "too_weak",
+            message:
+                "Password is too easy to guess. Try a longer password or mix letters, numbers and symbols",
+        });
+    }
+
+    if (BREACH_CHECK_ENABLED && isBreachedPassword(password)) {
+        errors.push({
+            field: "password",
+            code: "breached",
+            message:
+                "This password has appeared in a data breach and can't be used. Please choose a different one",
+        });
+    }
+
+    return errors;
+};
+
+/**
+ * Reject the request if a password doesn't meet the policy. Sets the
+ * response status and attaches the problems to the error as `errors`.
+ * @param {string} password - Proposed password
+ * @param {Object} [user] - Account the password is for
+ * @param {Response} res - Express response object
+ */
+const assertValidPassword = (password, user, res) => {
+    const errors = validatePassword(password, user);
+
+    if (errors.length > 0) {
+        res.status(400);
+        const error = new Error("Password does not meet the requirements");
+        error.errors = errors;
+        throw error;
+    }
+};
+
+module.exports = {
+    scorePassword,
+    validatePassword,
+    assertValidPassword,
+};
@@ -0,0 +1,91 @@
+/**
+ * Every permission in use. API key scopes must come from this list.
+ */
+const PERMISSIONS = [
+  'orders:read',
+  'orders:update',
+  'payments:update',
+  'products:write',
+  'categories:write',
+  'reviews:moderate',
+  'inventory:manage',
+  'users:read',
+  'users:write',
+  'users:delete',
+  'users:impersonate',
+  'apikeys:manage'
+];
+
+/**
+ * Permissions granted to each role. ADMIN gets every permission.
+ * Permission names are `<resource>:<action>`.
+ */
+const ROLE_PERMISSIONS = {
+  USER: [],
+  SUPPORT: [
+    'orders:read',
+    'orders:update',
+    'users:read',
+    'reviews:moderate'
+  ],
+  CATALOG_MANAGER: [
+    'products:write',
+    'categories:write',
+    'reviews:moderate'
+  ],
+  WAREHOUSE: [
+    'orders:read',
+    'orders:update',
+    'inventory:manage'
+  ]
+};
+
+/**
+ * Check whether a role has a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission name (e.g. 'orders:update')
+ * @returns {boolean} Whether the role has the permission
+ */
+const hasPermission = (role, permission) => {
+  if (role === 'ADMIN') {
+    return true;
+  }
+
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+/**
+ * Check whether the current request may use a permission. Requests made
+ * with an API key are also limited to the key's scopes.
+ * @param {Request} req - Express request object
+ * @param {string} permission - Permission name (e.g. 'orders:update')
+ * @returns {boolean} Whether the request has the permission
+ */
+const requestHasPermission = (req, permission) => {
+  if (!req.user || !hasPermission(req.user.role, permission)) {
+    return false;
+  }
+
+  return !req.apiKey || req.apiKey.scopes.includes(permission);
+};
+
+/**
+ * List the permissions granted to a role
+ * @param {string} role - User role
+ * @returns {string[]} Permission names ('*' for ADMIN)
+ */
+const getPermissions = (role) => {
+  if (role === 'ADMIN') {
+    return ['*'];
+  }
+
+  return ROLE_PERMISSIONS[role] || [];
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  requestHasPermission,
+  getPermissions
+};
@@ -0,0 +1,276 @@
+const crypto = require("crypto");
+const { PrismaClient } = require("@prisma/client");
+const logger = require("../logger");
+const { hashToken, safeEqual } = require("./tokenHash");
+const { signToken } = require("./signingKeys");
+
+const prisma = new PrismaClient();
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS =
+    parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000; // 5 minutes
+const IMPERSONATION_TTL_MINUTES =
+    parseInt(process.env.IMPERSONATION_TTL_MINUTES) || 15;
+
+/**
+ * Generate a short-lived JWT access token bound to a session
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {string} JWT access token
+ */
+const generateAccessToken = (userId, sessionId) => {
+    return signToken(
+        { id: userId, sid: sessionId },
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    );
+};
+
+/**
+ * Build a refresh token of the form `<sessionId>.<secret>`
+ * @param {string} sessionId - Session ID
+ * @returns {{ refreshToken: string, secret: string }} Token and its secret part
+ */
+const buildRefreshToken = (sessionId) => {
+    const secret = crypto.randomBytes(48).toString("hex");
+    return { refreshToken: `${sessionId}.${secret}`, secret };
+};
+
+/**
+ * Get the refresh token expiry date
+ * @returns {Date} Expiry date
+ */
+const refreshTokenExpiry = () => {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Create a new session for a user and issue an access/refresh token pair
+ * @param {string} userId - User ID
+ * @param {Request} req - Express request object (for IP and user agent)
+ * @returns {Promise<Object>} Session, access token and refresh token
+ */
+const createSession = async (userId, req) => {
+    const session = await prisma.session.create({
+        data: {
+            userId,
+            refreshTokenHash: "",
+            userAgent: req.get("user-agent") || null,
+            ipAddress: req.ip || null,
+            expiresAt: refreshTokenExpiry(),
+        },
+    });
+
+    const { refreshToken, secret } = buildRefreshToken(session.id);
+
+    await prisma.session.update({
+        where: { id: session.id },
+        data: { refreshTokenHash: hashToken(secret) },
+    });
+
+    return {
+        session,
+        accessToken: generateAccessToken(userId, session.id),
+        refreshToken,
+    };
+};
+
+/**
+ * Create a short-lived session in which an admin acts as another user.
+ * The access token carries an `imp` claim naming the admin and there is no
+ * refresh token, so the session simply ends when the token expires.
+ * @param {string} userId - User being impersonated
+ * @param {string} impersonatorId - Admin doing the impersonating
+ * @param {Request} req - Express request object
+ * @returns {Promise<Object>} Session and access token
+ */
+const createImpersonationSession = async (userId, impersonatorId, req) => {
+    const expiresAt = new Date(
+        Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000
+    );
+
+    const session = await prisma.session.create({
+        data: {
+            userId,
+            impersonatorId,
+            // Unusable: impersonation sessions can't be refreshed
+            refreshTokenHash: hashToken(crypto.randomBytes(32).toString("hex")),
+            userAgent: req.get("user-agent") || null,
+            ipAddress: req.ip || null,
+            expiresAt,
+        },
+    });
+
+    const accessToken = signToken(
+        { id: userId, sid: session.id, imp: impersonatorId },
+        { expiresIn: `${IMPERSONATION_TTL_MINUTES}m` }
+    );
+
+    return { session, accessToken };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * The presented refresh token is consumed; presenting it again revokes the
+ * whole session, since that means it has been stolen and replayed.
+ * @param {string} refreshToken - Refresh token issued by createSession or rotateSession
+ * @param {Request} req - Express request object
+ * @returns {Promise<Object|null>} New tokens, or null if the refresh token is invalid
+ */
+const rotateSession = async (refreshToken, req) => {
+    const [sessionId, secret] = String(refreshToken).split(".");
+    if (!sessionId || !secret) {
+        return null;
+    }
+
+    const session = await prisma.session.findUnique({
+        where: { id: sessionId },
+    });
+
+    if (
+        !session ||
+        session.revokedAt ||
+        session.impersonatorId ||
+        session.expiresAt < new Date()
+    ) {
+        return null;
+    }
+
+    const presentedHash = hashToken(secret);
+    const next = buildRefreshToken(session.id);
+
+    // Only swap the hash if it is still the presented one, so two requests
+    // racing with the same token can't both be issued new tokens
+    let rotated = false;
+    if (safeEqual(presentedHash, session.refreshTokenHash)) {
+        const { count } = await prisma.session.updateMany({
+            where: {
+                id: session.id,
+                refreshTokenHash: presentedHash,
+                revokedAt: null,
+            },
+            data: {
+                refreshTokenHash: hashToken(next.secret),
+                ipAddress: req.ip || session.ipAddress,
+                userAgent: req.get("user-agent") || session.userAgent,
+                lastUsedAt: new Date(),
+            },
+        });
+        rotated = count === 1;
+    }
+
+    if (!rotated) {
+        logger.warn(
+            `Refresh token reuse detected for session ${session.id}, revoking`
+        );
+        await revokeSession(session.id);
+        return null;
+    }
+
+    return {
+        session,
+        accessToken: generateAccessToken(session.userId, session.id),
+        refreshToken: next.refreshToken,
+    };
+};
+
+/**
+ * Find a session that is neither revoked nor expired
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} Session or null
+ */
+const findActiveSession = async (sessionId) => {
+    return prisma.session.findFirst({
+        where: {
+            id: sessionId,
+            revokedAt: null,
+            expiresAt: { gt: new Date() },
+        },
+    });
+};
+
+/**
+ * Record that a session was just used. Writes are throttled so that every
+ * authenticated request does not turn into a database update.
+ * @param {Object} session - Session object
+ * @returns {Promise<void>}
+ */
+const touchSession = async (session) => {
+    if (Date.now() - session.lastUsedAt.getTime() < LAST_USED_RESOLUTION_MS) {
+        return;
+    }
+
+    await prisma.session.update({
+        where: { id: session.id },
+        data: { lastUsedAt: new Date() },
+    });
+};
+
+/**
+ * List a user's active sessions (their own devices, not admin impersonation),
+ * most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Sessions (without refresh token hashes)
+ */
+const listActiveSessions = async (userId) => {
+    return prisma.session.findMany({
+        where: {
+            userId,
+            impersonatorId: null,
+            revokedAt: null,
+            expiresAt: { gt: new Date() },
+        },
+        select: {
+            id: true,
+            userAgent: true,
+            ipAddress: true,
+            createdAt: true,
+            lastUsedAt: true,
+            expiresAt: true,
+        },
+        orderBy: { lastUsedAt: "desc" },
+    });
+};
+
+/**
+ * Revoke a session so its access and refresh tokens stop working
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<void>}
+ */
+const revokeSession = async (sessionId) => {
+    await prisma.session.updateMany({
+        where: { id: sessionId, revokedAt: null },
+        data: { revokedAt: new Date() },
+    });
+};
+
+/**
+ * Revoke all of a user's sessions, optionally keeping one
+ * @param {string} userId - User ID
+ * @param {string} [exceptSessionId] - Session to keep (usually the current one)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, exceptSessionId) => {
+    const { count } = await prisma.session.updateMany({
+        where: {
+            userId,
+            revokedAt: null,
+            ...(exceptSessionId && { id: { not: exceptSessionId } }),
+        },
+        data: { revokedAt: new Date() },
+    });
+
+    return count;
+};
+
+module.exports = {
+    generateAccessToken,
+    createSession,
+    createImpersonationSession,
+    rotateSession,
+    findActiveSession,
+    touchSession,
+    listActiveSessions,
+    revokeSession,
+    revokeUserSessions,
+};
@@ -0,0 +1,197 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+const logger = require("../logger");
+
+const KEYS_DIR =
+    process.env.JWT_KEYS_DIR || path.join(process.cwd(), "keys", "jwt");
+
+// Loaded on first use: { signingKid, keys: Map<kid, key> }
+let keyring;
+
+/**
+ * Work out the JWT algorithm for a key
+ * @param {KeyObject} publicKey - Public key
+ * @returns {string|null} RS256, ES256, or null if the key type isn't supported
+ */
+const algorithmFor = (publicKey) => {
+    if (publicKey.asymmetricKeyType === "rsa") {
+        return "RS256";
+    }
+
+    if (
+        publicKey.asymmetricKeyType === "ec" &&
+        publicKey.asymmetricKeyDetails.namedCurve === "prime256v1"
+    ) {
+        return "ES256";
+    }
+
+    return null;
+};
+
+/**
+ * Read a key from a PEM file. `<kid>.pem` holds a private key that can sign;
+ * `<kid>.pub.pem` holds only a public key, so the key still verifies tokens
+ * it signed earlier but is no longer used for signing.
+ * @param {string} file - File name inside the keys directory
+ * @returns {Object} Key with kid, alg, privateKey (or null) and publicKey
+ */
+const readKeyFile = (file) => {
+    const pem = fs.readFileSync(path.join(KEYS_DIR, file));
+    const verifyOnly = file.endsWith(".pub.pem");
+    const kid = file.replace(verifyOnly ? /\.pub\.pem$/ : /\.pem$/, "");
+
+    const privateKey = verifyOnly ? null : crypto.createPrivateKey(pem);
+    const publicKey = crypto.createPublicKey(privateKey || pem);
+
+    const alg = algorithmFor(publicKey);
+    if (!alg) {
+        throw new Error(
+            `JWT key ${kid} must be an RSA or P-256 EC key (RS256 / ES256)`
+        );
+    }
+
+    return { kid, alg, privateKey, publicKey };
+};
+
+/**
+ * Generate a throwaway key so development works without any key files.
+ * Tokens signed with it stop verifying when the server restarts.
+ * @returns {Object} Key with kid, alg, privateKey and publicKey
+ */
+const generateDevelopmentKey = () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+        modulusLength: 2048,
+    });
+
+    logger.warn(
+        `No JWT signing keys found in ${KEYS_DIR}, using a temporary development key`
+    );
+
+    return {
+        kid: `dev-${crypto.randomBytes(4).toString("hex")}`,
+        alg: "RS256",
+        privateKey,
+        publicKey,
+    };
+};
+
+/**
+ * Load every key in the keys directory. The signing key is JWT_SIGNING_KID,
+ * or the last private key by name, so naming keys by date (e.g.
+ * 2025-07-30.pem) makes the newest one sign. To rotate: add the new key with
+ * JWT_SIGNING_KID still pinned to the old one so it is published in the
+ * JWKS, then switch JWT_SIGNING_KID to it, and once tokens signed by the old
+ * key have expired, rename it to `<kid>.pub.pem` or delete it to retire it.
+ * @returns {Object} Keyring with the signing kid and all keys by kid
+ */
+const loadKeyring = () => {
+    const keys = new Map();
+
+    if (fs.existsSync(KEYS_DIR)) {
+        fs.readdirSync(KEYS_DIR)
+            .filter((file) => file.endsWith(".pem"))
+            .sort()
+            .forEach((file) => {
+                const key = readKeyFile(file);
+                keys.set(key.kid, key);
+            });
+    }
+
+    if (keys.size === 0) {
+        if (process.env.NODE_ENV === "production") {
+            throw new Error(`No JWT signing keys found in ${KEYS_DIR}`);
+        }
+
+        const key = generateDevelopmentKey();
+        keys.set(key.kid, key);
+    }
+
+    const signingKid =
+        process.env.JWT_SIGNING_KID ||
+        [...keys.values()].filter((key) => key.privateKey).pop()?.kid;
+
+    const signingKey = keys.get(signingKid);
+    if (!signingKey || !signingKey.privateKey) {
+        throw new Error(
+            `No private key found for JWT signing key ${signingKid}`
+        );
+    }
+
+    logger.info(
+        `Loaded ${keys.size} JWT key(s), signing with ${signingKey.kid}`
+    );
+
+    return { signingKid, keys };
+};
+
+/**
+ * Get the loaded keys, reading them on first use
+ * @returns {Object} Keyring
+ */
+const getKeyring = () => {
+    if (!keyring) {
+        keyring = loadKeyring();
+    }
+
+    return keyring;
+};
+
+/**
+ * Sign a JWT with the current signing key
+ * @param {Object} payload - Token claims
+ * @param {Object} options - jsonwebtoken sign options (e.g. expiresIn)
+ * @returns {string} Signed JWT with its kid in the header
+ */
+const signToken = (payload, options) => {
+    const { signingKid, keys } = getKeyring();
+    const key = keys.get(signingKid);
+
+    return jwt.sign(payload, key.privateKey, {
+        ...options,
+        algorithm: key.alg,
+        keyid: key.kid,
+    });
+};
+
+/**
+ * Verify a JWT against the key named by its kid
+ * @param {string} token - JWT
+ * @returns {Object} Decoded claims
+ * @throws {Error} If the key is unknown or the token is invalid or expired
+ */
+const verifyToken = (token) => {
+    const decoded = jwt.decode(token, { complete: true });
+    const key = decoded && getKeyring().keys.get(decoded.header.kid);
+
+    if (!key) {
+        throw new jwt.JsonWebTokenError("unknown signing key");
+    }
+
+    return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+};
+
+/**
+ * Get the public keys as a JSON Web Key Set so other services can verify
+ * our tokens
+ * @returns {{ keys: Array }} JWKS
+ */
+const getJwks = () => {
+    const { keys } = getKeyring();
+
+    return {
+        keys: [...keys.values()].map((key) => ({
+            ...key.publicKey.export({ format: "jwk" }),
+            kid: key.kid,
+            alg: key.alg,
+            use: "sig",
+        })),
+    };
+};
+
+module.exports = {
+    signToken,
+    verifyToken,
+    getJwks,
+};
@@ -0,0 +1,55 @@
+const crypto = require("crypto");
+
+// Key for OTP hashes. Required at startup, since no code could be checked without it.
+const OTP_HASH_SECRET = process.env.OTP_HASH_SECRET;
+if (!OTP_HASH_SECRET) {
+    throw new Error("OTP_HASH_SECRET must be set");
+}
+
+/**
+ * Hash a high-entropy random token (refresh, reset, unlock tokens) for storage
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+/**
+ * Hash a low-entropy code (6-digit OTP) for storage. A plain hash of a
+ * 6-digit code can be reversed by trying all million values, so the hash is
+ * keyed with a server-side secret that never touches the database.
+ * @param {string} code - Raw code
+ * @returns {string} HMAC-SHA256 hex digest
+ */
+const hashOtp = (code) => {
+    return crypto
+        .createHmac("sha256", OTP_HASH_SECRET)
+        .update(String(code))
+        .digest("hex");
+};
+
+/**
+ * Compare two hex digests in constant time
+ * @param {string} a - Hex digest
+ * @param {string} b - Hex digest
+ * @returns {boolean} Whether the digests are equal
+ */
+const safeEqual = (a, b) => {
+    if (typeof a !== "string" || typeof b !== "string") {
+        return false;
+    }
+
+    const bufferA = Buffer.from(a, "hex");
+    const bufferB = Buffer.from(b, "hex");
+    return (
+        bufferA.length === bufferB.length &&
+        crypto.timingSafeEqual(bufferA, bufferB)
+    );
+};
+
+module.exports = {
+    hashToken,
+    hashOtp,
+    safeEqual,
+};
@@ -0,0 +1,157 @@
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 string (case-insensitive, padding optional)
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+    const clean = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error("Invalid base32 character");
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32-encoded 160-bit secret
+ */
+const generateSecret = () => {
+    return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Get the TOTP time step for a given time
+ * @param {number} [time] - Unix time in milliseconds
+ * @returns {number} Time step counter
+ */
+const currentCounter = (time = Date.now()) => {
+    return Math.floor(time / 1000 / PERIOD_SECONDS);
+};
+
+/**
+ * Generate the HOTP code for a counter (RFC 4226)
+ * @param {string} secret - Base32-encoded secret
+ * @param {number} counter - Counter value
+ * @returns {string} Zero-padded code
+ */
+const generateCode = (secret, counter) => {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto
+        .createHmac("sha1", base32Decode(secret))
+        .update(buffer)
+        .digest();
+
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return (binary % 10 ** DIGITS).toString().padStart(DIGITS, "0");
+};
+
+/**
+ * Verify a TOTP code, allowing for clock drift of `window` steps either way
+ * @param {string} secret - Base32-encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - Options
+ * @param {number} [options.window=1] - Allowed drift in time steps
+ * @param {number} [options.afterCounter] - Reject codes at or before this counter (replay protection)
+ * @returns {number|null} Matching counter, or null if the code is invalid
+ */
+const verifyCode = (secret, code, { window = 1, afterCounter } = {}) => {
+    if (!/^\d{6}$/.test(String(code))) {
+        return null;
+    }
+
+    const counter = currentCounter();
+
+    for (let step = counter - window; step <= counter + window; step++) {
+        if (afterCounter !== undefined && afterCounter !== null && step <= afterCounter) {
+            continue;
+        }
+
+        const expected = Buffer.from(generateCode(secret, step));
+        if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Build an otpauth:// provisioning URI for authenticator apps (rendered as a QR code by the client)
+ * @param {string} secret - Base32-encoded secret
+ * @param {string} accountName - Account label, usually the user's email
+ * @returns {string} Provisioning URI
+ */
+const buildProvisioningUri = (secret, accountName) => {
+    const issuer = process.env.TOTP_ISSUER || "Amazon Clone";
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(DIGITS),
+        period: String(PERIOD_SECONDS),
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    currentCounter,
+    verifyCode,
+    buildProvisioningUri,
+};
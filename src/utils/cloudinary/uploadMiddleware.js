@@ -54,6 +54,22 @@ const memoryUpload = multer({
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
+// File filter for product import files
+const importFileFilter = (req, file, cb) => {
+  if (/\.(csv|json)$/i.test(file.originalname)) {
+    return cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only CSV and JSON files can be imported.'));
+  }
+};
+
+// Create multer memory upload instance for product import files
+const importUpload = multer({
+  storage: memoryStorage,
+  fileFilter: importFileFilter,
+  limits: { fileSize: 20 * 1024 * 1024 } // 20MB limit
+});
+
 /**
  * Middleware to upload files to Cloudinary after multer processes them
  * @param {Object} req - Express request object
@@ -172,6 +188,7 @@ const getResourceType = (mimetype) => {
 module.exports = {
   upload,
   memoryUpload,
+  importUpload,
   uploadToCloudinary,
   uploadBufferToCloudinary
 };
\ No newline at end of file
@@ -2,6 +2,7 @@ const nodemailer = require("nodemailer");
 const ejs = require("ejs");
 const path = require("path");
 const logger = require("../logger");
+const { summarizeOrder, formatMoney } = require("../pricing");
 
 /**
  * Email service for sending emails using nodemailer
@@ -73,6 +74,63 @@ class EmailService {
         });
     }
 
+    /**
+     * Send an email address verification email
+     * @param {Object} user - User object
+     * @param {string} verificationToken - Verification token
+     * @returns {Promise<Object>} - Nodemailer info object
+     */
+    async sendEmailVerificationEmail(user, verificationToken) {
+        return this.sendEmail({
+            to: user.email,
+            subject: "Verify Your Email Address",
+            template: "emailVerification",
+            data: {
+                name: user.name,
+                url: `${process.env.CLIENT_URL}/verify-email?token=${verificationToken}`,
+                expiresIn: "24 hours",
+            },
+        });
+    }
+
+    /**
+     * Send an email change confirmation link to the new address
+     * @param {Object} user - User object (with the new address as `email`)
+     * @param {string} confirmationToken - Confirmation token
+     * @returns {Promise<Object>} - Nodemailer info object
+     */
+    async sendEmailChangeConfirmationEmail(user, confirmationToken) {
+        return this.sendEmail({
+            to: user.email,
+            subject: "Confirm Your New Email Address",
+            template: "emailChangeConfirmation",
+            data: {
+                name: user.name,
+                url: `${process.env.CLIENT_URL}/confirm-email-change?token=${confirmationToken}`,
+                expiresIn: "24 hours",
+            },
+        });
+    }
+
+    /**
+     * Let the old address know an email change was requested
+     * @param {Object} user - User object (with the current address as `email`)
+     * @param {string} newEmail - Requested new address
+     * @returns {Promise<Object>} - Nodemailer info object
+     */
+    async sendEmailChangeNotificationEmail(user, newEmail) {
+        return this.sendEmail({
+            to: user.email,
+            subject: "Your Email Address Is Being Changed",
+            template: "emailChangeNotification",
+            data: {
+                name: user.name,
+                newEmail,
+                url: `${process.env.CLIENT_URL}/account/security`,
+            },
+        });
+    }
+
     /**
      * Send a password reset email
      * @param {Object} user - User object
@@ -99,6 +157,8 @@ class EmailService {
      * @returns {Promise<Object>} - Nodemailer info object
      */
     async sendOrderConfirmationEmail(user, order) {
+        const { lines, subtotal, discountTotal, total } = summarizeOrder(order);
+
         return this.sendEmail({
             to: user.email,
             subject: `Order Confirmation #${order.id.substring(0, 8)}`,
@@ -107,9 +167,12 @@ class EmailService {
                 name: user.name,
                 orderId: order.id,
                 orderDate: new Date(order.createdAt).toLocaleDateString(),
-                orderItems: order.items,
+                orderItems: lines,
                 shippingAddress: order.shippingAddress,
-                total: order.total,
+                subtotal,
+                discountTotal,
+                total,
+                formatMoney,
                 url: `${process.env.CLIENT_URL}/account/orders/${order.id}`,
             },
         });
@@ -154,6 +217,62 @@ class EmailService {
             },
         });
     }
+
+    /**
+     * Send a magic sign-in link
+     * @param {Object} user - User object
+     * @param {string} magicLinkToken - One-time sign-in token
+     * @returns {Promise<Object>} - Nodemailer info object
+     */
+    async sendMagicLinkEmail(user, magicLinkToken) {
+        return this.sendEmail({
+            to: user.email,
+            subject: "Your Sign-In Link",
+            template: "magicLink",
+            data: {
+                name: user.name,
+                url: `${process.env.CLIENT_URL}/magic-link?token=${magicLinkToken}`,
+                expiresIn: "15 minutes",
+            },
+        });
+    }
+
+    /**
+     * Send an account locked email with an unlock link
+     * @param {Object} user - User object
+     * @param {string} unlockToken - Unlock token
+     * @returns {Promise<Object>} - Nodemailer info object
+     */
+    async sendAccountLockedEmail(user, unlockToken) {
+        return this.sendEmail({
+            to: user.email,
+            subject: "Your Account Has Been Locked",
+            template: "accountLocked",
+            data: {
+                name: user.name,
+                url: `${process.env.CLIENT_URL}/unlock-account?token=${unlockToken}`,
+            },
+        });
+    }
+
+    /**
+     * Send an email confirming that the account is scheduled for deletion
+     * @param {Object} user - User object
+     * @param {Date} deletionScheduledAt - When the account will be deleted
+     * @returns {Promise<Object>} - Nodemailer info object
+     */
+    async sendAccountDeletionScheduledEmail(user, deletionScheduledAt) {
+        return this.sendEmail({
+            to: user.email,
+            subject: "Your Account Is Scheduled for Deletion",
+            template: "accountDeletionScheduled",
+            data: {
+                name: user.name,
+                deletionDate: deletionScheduledAt.toDateString(),
+                url: `${process.env.CLIENT_URL}/account`,
+            },
+        });
+    }
 }
 
 module.exports = new EmailService();
@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const { PrismaClient, Prisma } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Ledger entry types (StockMovementType in the schema)
+const MOVEMENT_TYPES = ['RECEIPT', 'ADJUSTMENT', 'SALE', 'RETURN', 'TRANSFER'];
+
+/**
+ * Error for a stock change that would take a location below zero
+ */
+class InsufficientStockError extends Error {}
+
+/**
+ * Change the stock a location holds of a product (or one of its variants)
+ * and record the change in the stock ledger. Call syncStockTotals afterwards.
+ * @param {Object} movement - Stock movement
+ * @param {string} movement.locationId - Stock location
+ * @param {string} movement.productId - Product
+ * @param {string|null} [movement.variantId] - Variant, for products with variants
+ * @param {number} movement.quantity - Change in stock (negative when stock leaves)
+ * @param {string} movement.type - RECEIPT, ADJUSTMENT, SALE, RETURN or TRANSFER
+ * @param {string} [movement.orderId] - Order behind a sale or return
+ * @param {string} [movement.reference] - e.g. a purchase order number
+ * @param {string} [movement.note] - Reason for the change
+ * @param {string} [movement.createdById] - Who made the change
+ * @param {Object} [client] - Prisma client or transaction to use
+ * @returns {Promise<Object>} Ledger entry
+ * @throws {InsufficientStockError} If the location doesn't hold enough stock
+ */
+const moveStock = async (movement, client = prisma) => {
+  const { locationId, productId, variantId = null, quantity } = movement;
+
+  if (quantity < 0) {
+    // Only take stock that is still there, even if another order got to it first
+    const { count } = await client.stockLevel.updateMany({
+      where: { locationId, productId, variantId, quantity: { gte: -quantity } },
+      data: { quantity: { increment: quantity } }
+    });
+
+    if (count === 0) {
+      throw new InsufficientStockError('Not enough stock at this location');
+    }
+  } else {
+    // Add to the level, or start one, in a single statement so changes at the
+    // same time can't start two levels
+    const conflictTarget = variantId
+      ? Prisma.sql`("locationId", "productId", "variantId")`
+      : Prisma.sql`("locationId", "productId") WHERE "variantId" IS NULL`;
+
+    await client.$executeRaw`
+      INSERT INTO "StockLevel" ("id", "locationId", "productId", "variantId", "quantity", "updatedAt")
+      VALUES (${crypto.randomUUID()}, ${locationId}, ${productId}, ${variantId}, ${quantity}, NOW())
+      ON CONFLICT ${conflictTarget}
+      DO UPDATE SET "quantity" = "StockLevel"."quantity" + EXCLUDED."quantity", "updatedAt" = NOW()
+    `;
+  }
+
+  return client.stockMovement.create({
+    data: {
+      locationId,
+      productId,
+      variantId,
+      quantity,
+      type: movement.type,
+      orderId: movement.orderId,
+      reference: movement.reference,
+      note: movement.note,
+      createdById: movement.createdById
+    }
+  });
+};
+
+/**
+ * Update a product's stock, and its variants', to the totals across active
+ * locations, so listings, stock filters and the cart keep working on the
+ * single stock figure. A product with variants has the total of its variants.
+ * Stock at inactive locations can't ship, so isn't counted.
+ * @param {string} productId - Product ID
+ * @param {Object} [client] - Prisma client or transaction to use
+ * @returns {Promise<void>}
+ */
+const syncStockTotals = async (productId, client = prisma) => {
+  const [groups, variants] = await Promise.all([
+    client.stockLevel.groupBy({
+      by: ['variantId'],
+      where: { productId, location: { isActive: true } },
+      _sum: { quantity: true }
+    }),
+    client.productVariant.findMany({
+      where: { productId, deletedAt: null },
+      select: { id: true }
+    })
+  ]);
+
+  const totals = new Map(groups.map((group) => [group.variantId, group._sum.quantity || 0]));
+
+  for (const variant of variants) {
+    await client.productVariant.update({
+      where: { id: variant.id },
+      data: { stock: totals.get(variant.id) || 0 }
+    });
+  }
+
+  const stock = variants.length > 0
+    ? variants.reduce((sum, variant) => sum + (totals.get(variant.id) || 0), 0)
+    : totals.get(null) || 0;
+
+  await client.product.update({
+    where: { id: productId },
+    data: { stock }
+  });
+};
+
+/**
+ * Write off all of a variant's stock before it is removed, so the ledger
+ * still adds up, and drop its emptied stock levels. Call syncStockTotals
+ * afterwards.
+ * @param {Object} variant - Variant with id and productId
+ * @param {string} [createdById] - Who removed it
+ * @param {Object} [client] - Prisma client or transaction to use
+ * @returns {Promise<void>}
+ */
+const writeOffVariantStock = async (variant, createdById, client = prisma) => {
+  const levels = await client.stockLevel.findMany({
+    where: { variantId: variant.id, quantity: { not: 0 } }
+  });
+
+  for (const level of levels) {
+    await moveStock({
+      locationId: level.locationId,
+      productId: variant.productId,
+      variantId: variant.id,
+      quantity: -level.quantity,
+      type: 'ADJUSTMENT',
+      note: 'Variant removed',
+      createdById
+    }, client);
+  }
+
+  await client.stockLevel.deleteMany({
+    where: { variantId: variant.id }
+  });
+};
+
+/**
+ * Get the location stock is received into when no location is given: the
+ * active location with the lowest priority
+ * @param {Object} [client] - Prisma client or transaction to use
+ * @returns {Promise<Object>} Stock location
+ */
+const getDefaultLocation = async (client = prisma) => {
+  const location = await client.stockLocation.findFirst({
+    where: { isActive: true },
+    orderBy: [
+      { priority: 'asc' },
+      { createdAt: 'asc' }
+    ]
+  });
+
+  if (!location) {
+    throw new Error('No active stock location');
+  }
+
+  return location;
+};
+
+/**
+ * Set the total stock of a product or variant across active locations, as
+ * the product and variant endpoints and imports do. The difference is booked
+ * as an adjustment at the default location.
+ * @param {Object} change - Stock change
+ * @param {string} change.productId - Product
+ * @param {string|null} [change.variantId] - Variant, for products with variants
+ * @param {number} change.quantity - New total stock
+ * @param {string} [change.createdById] - Who made the change
+ * @param {Object} [client] - Prisma client or transaction to use
+ * @returns {Promise<void>}
+ * @throws {InsufficientStockError} If the default location holds less than the reduction
+ */
+const setTotalStock = async ({ productId, variantId = null, quantity, createdById }, client = prisma) => {
+  const { _sum } = await client.stockLevel.aggregate({
+    where: { productId, variantId, location: { isActive: true } },
+    _sum: { quantity: true }
+  });
+
+  const change = quantity - (_sum.quantity || 0);
+  if (change !== 0) {
+    const location = await getDefaultLocation(client);
+
+    try {
+      await moveStock({
+        locationId: location.id,
+        productId,
+        variantId,
+        quantity: change,
+        type: 'ADJUSTMENT',
+        note: 'Total stock set',
+        createdById
+      }, client);
+    } catch (error) {
+      if (error instanceof InsufficientStockError) {
+        throw new InsufficientStockError('Stock is held at other locations; adjust it through the inventory endpoints');
+      }
+      throw error;
+    }
+  }
+
+  await syncStockTotals(productId, client);
+};
+
+/**
+ * Rank locations for shipping to an address: same state, then same country,
+ * then by priority
+ * @param {Object[]} locations - Stock locations
+ * @param {Object} [address] - Shipping address
+ * @returns {Object[]} Locations, best first
+ */
+const rankLocations = (locations, address) => {
+  const closeness = (location) => {
+    if (!address || !location.country || location.country !== address.country) {
+      return 0;
+    }
+
+    return location.state && location.state === address.state ? 2 : 1;
+  };
+
+  return [...locations].sort((a, b) => closeness(b) - closeness(a) || a.priority - b.priority);
+};
+
+/**
+ * Choose where each line of an order ships from. One location that has
+ * everything is preferred (a single parcel), the closest first; otherwise
+ * each line ships from the closest location that has enough of it.
+ * @param {Object[]} lines - Lines with productId, variantId (or null) and quantity
+ * @param {Object} [address] - Shipping address
+ * @param {Object} [client] - Prisma client or transaction to use
+ * @returns {Promise<Array<string|null>>} Location ID for each line (null where no location has enough)
+ */
+const chooseFulfilmentLocations = async (lines, address, client = prisma) => {
+  const locations = await client.stockLocation.findMany({
+    where: { isActive: true },
+    include: {
+      levels: {
+        where: { productId: { in: lines.map((line) => line.productId) } }
+      }
+    }
+  });
+
+  const ranked = rankLocations(locations, address);
+
+  const available = (location, line) => {
+    const level = location.levels.find((candidate) =>
+      candidate.productId === line.productId && candidate.variantId === (line.variantId || null));
+
+    return level ? level.quantity : 0;
+  };
+
+  const single = ranked.find((location) => lines.every((line) => available(location, line) >= line.quantity));
+  if (single) {
+    return lines.map(() => single.id);
+  }
+
+  return lines.map((line) => {
+    const location = ranked.find((candidate) => available(candidate, line) >= line.quantity);
+    return location ? location.id : null;
+  });
+};
+
+module.exports = {
+  MOVEMENT_TYPES,
+  InsufficientStockError,
+  moveStock,
+  syncStockTotals,
+  writeOffVariantStock,
+  getDefaultLocation,
+  setTotalStock,
+  chooseFulfilmentLocations
+};
@@ -0,0 +1,114 @@
+// Product pages, carts, orders and order emails all price things here, so
+// customers are charged what they were shown. Discounts are percentages of the
+// price; amounts are added up in whole cents so totals come out exact.
+
+/**
+ * Convert an amount to whole cents
+ * @param {number} amount - Amount in dollars
+ * @returns {number} Cents
+ */
+const toCents = (amount) => Math.round(amount * 100);
+
+/**
+ * Apply a percentage discount to a price, rounded to the cent
+ * @param {number} price - Price before the discount
+ * @param {number|null} [discount] - Discount in percent (e.g. 15 for 15% off)
+ * @returns {number} Price after the discount
+ */
+const discountedPrice = (price, discount) => {
+  return toCents(price * (1 - (discount || 0) / 100)) / 100;
+};
+
+/**
+ * Price one line of a cart: the unit price before and after the product's
+ * discount (a variant's own price wins over the product's) and the line totals
+ * @param {Object} item - Cart item with its product, variant (or null) and quantity
+ * @returns {Object} listPrice, discount, unitPrice, listTotal, discountAmount and lineTotal
+ */
+const priceLine = (item) => {
+  const listPrice = item.variant && item.variant.price !== null && item.variant.price !== undefined
+    ? item.variant.price
+    : item.product.price;
+  const discount = item.product.discount || null;
+  const unitPrice = discountedPrice(listPrice, discount);
+
+  const listTotal = toCents(listPrice) * item.quantity;
+  const lineTotal = toCents(unitPrice) * item.quantity;
+
+  return {
+    listPrice,
+    discount,
+    unitPrice,
+    listTotal: listTotal / 100,
+    discountAmount: (listTotal - lineTotal) / 100,
+    lineTotal: lineTotal / 100
+  };
+};
+
+/**
+ * Add up priced lines
+ * @param {Object[]} lines - Lines from priceLine (or order items summarised by summarizeOrder)
+ * @returns {{ subtotal: number, discountTotal: number, total: number }} Before discounts, discounts, and amount to pay
+ */
+const sumLines = (lines) => {
+  const subtotal = lines.reduce((sum, line) => sum + toCents(line.listTotal), 0);
+  const total = lines.reduce((sum, line) => sum + toCents(line.lineTotal), 0);
+
+  return {
+    subtotal: subtotal / 100,
+    discountTotal: (subtotal - total) / 100,
+    total: total / 100
+  };
+};
+
+/**
+ * Price every line of a cart and work out its totals
+ * @param {Object[]} items - Cart items with their products and variants
+ * @returns {{ lines: Object[], subtotal: number, discountTotal: number, total: number }} Priced lines and totals
+ */
+const priceCart = (items) => {
+  const lines = items.map(priceLine);
+
+  return { lines, ...sumLines(lines) };
+};
+
+/**
+ * Line and order totals for a placed order, from the prices stored on its
+ * items (orders placed before discounts were stored have no listPrice)
+ * @param {Object} order - Order with its items
+ * @returns {{ lines: Object[], subtotal: number, discountTotal: number, total: number }} Order items with their totals, and order totals
+ */
+const summarizeOrder = (order) => {
+  const lines = order.items.map((item) => {
+    const listPrice = item.listPrice !== null && item.listPrice !== undefined ? item.listPrice : item.price;
+    const listTotal = toCents(listPrice) * item.quantity;
+    const lineTotal = toCents(item.price) * item.quantity;
+
+    return {
+      ...item,
+      listPrice,
+      listTotal: listTotal / 100,
+      discountAmount: (listTotal - lineTotal) / 100,
+      lineTotal: lineTotal / 100
+    };
+  });
+
+  return { lines, ...sumLines(lines) };
+};
+
+/**
+ * Format an amount for display
+ * @param {number} amount - Amount in dollars
+ * @returns {string} e.g. $1,234.50
+ */
+const formatMoney = (amount) => {
+  return `$${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+module.exports = {
+  discountedPrice,
+  priceLine,
+  priceCart,
+  summarizeOrder,
+  formatMoney
+};
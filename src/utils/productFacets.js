@@ -0,0 +1,170 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Price ranges offered as filters, keyed as they appear in ?price=25-50. Price
+// filters use the price customers pay (effectivePrice, after the discount,
+// including scheduled prices), not the list price.
+const PRICE_BUCKETS = [
+  { key: '0-25', min: 0, max: 25 },
+  { key: '25-50', min: 25, max: 50 },
+  { key: '50-100', min: 50, max: 100 },
+  { key: '100-200', min: 100, max: 200 },
+  { key: '200-500', min: 200, max: 500 },
+  { key: '500-', min: 500, max: null }
+];
+
+// "N stars & up" rating filters
+const RATING_BUCKETS = [4, 3, 2, 1];
+
+/**
+ * Read a multi-select query value, given as `a,b` or as a repeated parameter
+ * @param {string|string[]} [value] - Query value
+ * @returns {string[]} Selected values
+ */
+const parseList = (value) => {
+  if (!value) {
+    return [];
+  }
+
+  return [].concat(value)
+    .flatMap((item) => String(item).split(','))
+    .map((item) => item.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Prisma condition for a price bucket, on the price after the discount
+ * @param {Object} bucket - Price bucket
+ * @returns {Object} Prisma where condition
+ */
+const priceBucketCondition = (bucket) => {
+  return {
+    effectivePrice: bucket.max === null
+      ? { gte: bucket.min }
+      : { gte: bucket.min, lt: bucket.max }
+  };
+};
+
+/**
+ * Turn the listing query into one Prisma condition per facet
+ * (null where the facet isn't filtered)
+ * @param {Object} query - Express request query
+ * @returns {Object} Conditions keyed by facet name
+ */
+const parseFacetFilters = (query) => {
+  const categories = parseList(query.category);
+  const brands = parseList(query.brand);
+  const colors = parseList(query.color);
+  const priceBuckets = PRICE_BUCKETS.filter((bucket) => parseList(query.price).includes(bucket.key));
+  const minPrice = parseFloat(query.minPrice) || 0;
+  const maxPrice = parseFloat(query.maxPrice) || Number.MAX_SAFE_INTEGER;
+  const ratings = parseList(query.rating).map(Number).filter((rating) => rating > 0);
+
+  const price = [];
+  if (query.minPrice || query.maxPrice) {
+    price.push({ effectivePrice: { gte: minPrice, lte: maxPrice } });
+  }
+  if (priceBuckets.length > 0) {
+    price.push({ OR: priceBuckets.map(priceBucketCondition) });
+  }
+
+  return {
+    category: categories.length > 0 ? { category: { slug: { in: categories } } } : null,
+    brand: brands.length > 0 ? { brand: { in: brands } } : null,
+    color: colors.length > 0 ? { color: { in: colors } } : null,
+    price: price.length > 0 ? { AND: price } : null,
+    // Rating buckets are "& up", so the lowest one selected covers the rest
+    rating: ratings.length > 0 ? { rating: { gte: Math.min(...ratings) } } : null,
+    prime: query.isPrime === 'true' ? { isPrime: true } : null,
+    inStock: query.inStock === 'true' ? { stock: { gt: 0 } } : null
+  };
+};
+
+/**
+ * Build the Prisma where clause for the listing
+ * @param {Object[]} baseConditions - Conditions that always apply (e.g. search)
+ * @param {Object} facetFilters - Conditions from parseFacetFilters
+ * @param {string} [excludeFacet] - Facet whose own condition is left out
+ * @returns {Object} Prisma where clause
+ */
+const buildProductFilter = (baseConditions, facetFilters, excludeFacet) => {
+  return {
+    AND: [
+      ...baseConditions,
+      ...Object.entries(facetFilters)
+        .filter(([facet, condition]) => condition && facet !== excludeFacet)
+        .map(([, condition]) => condition)
+    ]
+  };
+};
+
+/**
+ * Count the products behind every facet value for the current filters. Each
+ * facet is counted with every filter except its own, so the other values of
+ * a multi-select facet still show how many results they would add.
+ * @param {Object[]} baseConditions - Conditions that always apply (e.g. search)
+ * @param {Object} facetFilters - Conditions from parseFacetFilters
+ * @returns {Promise<Object>} Facet counts
+ */
+const getFacetCounts = async (baseConditions, facetFilters) => {
+  const where = (facet) => buildProductFilter(baseConditions, facetFilters, facet);
+
+  const [categoryGroups, brandGroups, colorGroups, priceCounts, ratingCounts, primeCount, inStockCount] =
+    await Promise.all([
+      prisma.product.groupBy({
+        by: ['categoryId'],
+        where: where('category'),
+        _count: { _all: true }
+      }),
+      prisma.product.groupBy({
+        by: ['brand'],
+        where: { AND: [where('brand'), { brand: { not: null } }] },
+        _count: { _all: true },
+        orderBy: { brand: 'asc' }
+      }),
+      prisma.product.groupBy({
+        by: ['color'],
+        where: { AND: [where('color'), { color: { not: null } }] },
+        _count: { _all: true },
+        orderBy: { color: 'asc' }
+      }),
+      Promise.all(PRICE_BUCKETS.map((bucket) => prisma.product.count({
+        where: { AND: [where('price'), priceBucketCondition(bucket)] }
+      }))),
+      Promise.all(RATING_BUCKETS.map((rating) => prisma.product.count({
+        where: { AND: [where('rating'), { rating: { gte: rating } }] }
+      }))),
+      prisma.product.count({
+        where: { AND: [where('prime'), { isPrime: true }] }
+      }),
+      prisma.product.count({
+        where: { AND: [where('inStock'), { stock: { gt: 0 } }] }
+      })
+    ]);
+
+  const categories = await prisma.category.findMany({
+    where: { id: { in: categoryGroups.map((group) => group.categoryId) } },
+    select: {
+      id: true,
+      name: true,
+      slug: true
+    },
+    orderBy: { name: 'asc' }
+  });
+
+  return {
+    categories: categories.map((category) => ({
+      ...category,
+      count: categoryGroups.find((group) => group.categoryId === category.id)._count._all
+    })),
+    brands: brandGroups.map((group) => ({ value: group.brand, count: group._count._all })),
+    colors: colorGroups.map((group) => ({ value: group.color, count: group._count._all })),
+    priceRanges: PRICE_BUCKETS.map((bucket, index) => ({ ...bucket, count: priceCounts[index] })),
+    ratings: RATING_BUCKETS.map((rating, index) => ({ min: rating, count: ratingCounts[index] })),
+    prime: { count: primeCount },
+    inStock: { count: inStockCount }
+  };
+};
+
+module.exports = { parseFacetFilters, buildProductFilter, getFacetCounts };
@@ -0,0 +1,579 @@
+const { PrismaClient } = require('@prisma/client');
+const { parse } = require('csv-parse/sync');
+const { z } = require('zod');
+const logger = require('./logger');
+const { PRODUCT_STATUSES } = require('./productVisibility');
+const { recordPriceChange } = require('./productPricing');
+const { InsufficientStockError, setTotalStock } = require('./inventory');
+
+const prisma = new PrismaClient();
+
+/**
+ * Columns of an import or export file. Each row is either a product, matched
+ * by slug, or (when it has a sku) a variant, matched by SKU and belonging to
+ * the product with the row's slug. Lists (images, features) are separated by
+ * "|" in CSV, and variant options are written as size=M;color=Red.
+ */
+const IMPORT_COLUMNS = [
+  'slug',
+  'name',
+  'description',
+  'price',
+  'discount',
+  'stock',
+  'isPrime',
+  'images',
+  'category',
+  'brand',
+  'model',
+  'dimensions',
+  'weight',
+  'color',
+  'material',
+  'warranty',
+  'features',
+  'status',
+  'publishAt',
+  'unpublishAt',
+  'sku',
+  'options'
+];
+
+// Progress is saved every this many rows so the status endpoint can follow along
+const PROGRESS_INTERVAL = 100;
+
+// Only this many row errors are kept for the report; failedCount still counts them all
+const MAX_REPORTED_ERRORS = 5000;
+
+// Running imports touch their job this often so other servers can tell they're alive
+const HEARTBEAT_SECONDS = 30;
+
+// A job that hasn't been touched for this long belongs to a server that stopped
+const STALE_AFTER_SECONDS = 5 * 60;
+
+// Empty CSV cells (and nulls in JSON) mean "leave unchanged"
+const blankToUndefined = (value) => (value === '' || value === null ? undefined : value);
+const optional = (schema) => z.preprocess(blankToUndefined, schema.optional());
+
+const text = optional(z.string().trim());
+const number = optional(z.coerce.number({ invalid_type_error: 'Must be a number' }).nonnegative('Must be at least 0'));
+const date = optional(z.coerce.date({ invalid_type_error: 'Must be a valid date' }));
+
+const list = optional(z.preprocess(
+  (value) => (typeof value === 'string' ? value.split('|').map((item) => item.trim()).filter(Boolean) : value),
+  z.array(z.string(), { invalid_type_error: 'Must be a list of values separated by |' })
+));
+
+const BOOLEAN_VALUES = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+const boolean = optional(z.preprocess(
+  (value) => (typeof value === 'string' && value.toLowerCase() in BOOLEAN_VALUES ? BOOLEAN_VALUES[value.toLowerCase()] : value),
+  z.boolean({ invalid_type_error: 'Must be true or false' })
+));
+
+const options = optional(z.preprocess(
+  (value) => {
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    return Object.fromEntries(value.split(';').filter(Boolean).map((pair) => {
+      const [option, ...rest] = pair.split('=');
+      return [option.trim(), rest.join('=').trim()];
+    }));
+  },
+  z.record(z.string().min(1, 'Option values must not be empty'), {
+    invalid_type_error: 'Must be option values, e.g. size=M;color=Red'
+  }).refine((value) => Object.keys(value).length > 0, 'Must have at least one option')
+));
+
+const rowSchema = z.object({
+  slug: text,
+  name: optional(z.string().trim().max(200, 'Must be at most 200 characters')),
+  description: text,
+  price: number,
+  discount: optional(z.coerce.number({ invalid_type_error: 'Must be a number' }).min(0, 'Must be at least 0').max(100, 'Must be a percentage of at most 100')),
+  stock: optional(z.coerce.number({ invalid_type_error: 'Must be a number' }).int('Must be a whole number').nonnegative('Must be at least 0')),
+  isPrime: boolean,
+  images: list,
+  category: text,
+  brand: text,
+  model: text,
+  dimensions: text,
+  weight: text,
+  color: text,
+  material: text,
+  warranty: text,
+  features: list,
+  status: optional(z.enum(PRODUCT_STATUSES, { errorMap: () => ({ message: `Must be one of ${PRODUCT_STATUSES.join(', ')}` }) })),
+  publishAt: date,
+  unpublishAt: date,
+  sku: text,
+  options
+}).superRefine((row, ctx) => {
+  if (row.publishAt && row.unpublishAt && row.unpublishAt <= row.publishAt) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['unpublishAt'], message: 'Must be after publishAt' });
+  }
+
+  if (!row.sku && !row.slug && !row.name) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['slug'], message: 'A slug or name is required' });
+  }
+});
+
+/**
+ * Make a slug from a product name, the same way createProduct does
+ * @param {string} name - Product name
+ * @returns {string} Slug
+ */
+const slugify = (name) => {
+  return name
+    .toLowerCase()
+    .replace(/[^\w\s]/gi, '')
+    .replace(/\s+/g, '-');
+};
+
+/**
+ * Read the rows of an uploaded import file
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - csv or json
+ * @returns {Object[]} Raw rows
+ * @throws {Error} If the file can't be read
+ */
+const parseImportFile = (buffer, format) => {
+  if (format === 'json') {
+    const data = JSON.parse(buffer.toString('utf8'));
+    const rows = Array.isArray(data) ? data : data.products;
+
+    if (!Array.isArray(rows) || rows.some((row) => !row || typeof row !== 'object' || Array.isArray(row))) {
+      throw new Error('JSON imports must be an array of product objects');
+    }
+
+    return rows;
+  }
+
+  return parse(buffer, {
+    bom: true,
+    columns: (header) => header.map((column) => column.trim()),
+    skip_empty_lines: true,
+    trim: true
+  });
+};
+
+/**
+ * Check every row against the column rules and for slugs or SKUs that
+ * appear twice in the file
+ * @param {Object[]} rows - Raw rows
+ * @returns {{ valid: Array, errors: Array }} Parsed rows with their row numbers, and problems found
+ */
+const validateRows = (rows) => {
+  const valid = [];
+  const errors = [];
+  const seenSlugs = new Map();
+  const seenSkus = new Map();
+
+  rows.forEach((raw, index) => {
+    // Row 1 is the first product (after the header in CSV files)
+    const rowNumber = index + 1;
+    const result = rowSchema.safeParse(raw);
+
+    if (!result.success) {
+      result.error.issues.forEach((issue) => {
+        errors.push({ row: rowNumber, field: String(issue.path[0] || ''), message: issue.message });
+      });
+      return;
+    }
+
+    const row = result.data;
+    if (!row.sku) {
+      row.slug = row.slug || slugify(row.name);
+    }
+
+    const [seen, key, field] = row.sku ? [seenSkus, row.sku, 'sku'] : [seenSlugs, row.slug, 'slug'];
+    if (seen.has(key)) {
+      errors.push({ row: rowNumber, field, message: `Duplicate of row ${seen.get(key)}` });
+      return;
+    }
+    seen.set(key, rowNumber);
+
+    valid.push({ rowNumber, row });
+  });
+
+  return { valid, errors };
+};
+
+/**
+ * Error for a problem with a single row, reported against one of its fields
+ */
+class RowError extends Error {
+  constructor(field, message) {
+    super(message);
+    this.field = field;
+  }
+}
+
+/**
+ * Pick the product fields given in a row
+ * @param {Object} row - Parsed row
+ * @param {Map<string, string>} categories - Category IDs by slug
+ * @returns {Object} Prisma product data
+ */
+const productData = (row, categories) => {
+  const fields = [
+    'name', 'description', 'price', 'discount', 'isPrime', 'images', 'brand', 'model',
+    'dimensions', 'weight', 'color', 'material', 'warranty', 'features', 'status', 'publishAt', 'unpublishAt'
+  ];
+  const data = Object.fromEntries(fields.filter((field) => row[field] !== undefined).map((field) => [field, row[field]]));
+
+  if (row.category !== undefined) {
+    if (!categories.has(row.category)) {
+      throw new RowError('category', `No category with slug "${row.category}"`);
+    }
+    data.categoryId = categories.get(row.category);
+  }
+
+  return data;
+};
+
+/**
+ * Set the total stock of a product or variant from a row, booked at the
+ * default location
+ * @param {Object} stock - productId, variantId (or null) and quantity
+ * @param {Object} context - Who is importing
+ * @param {Object} client - Transaction the rest of the row is saved in
+ * @returns {Promise<void>}
+ */
+const importStock = async ({ productId, variantId = null, quantity }, context, client) => {
+  try {
+    await setTotalStock({ productId, variantId, quantity, createdById: context.importedById }, client);
+  } catch (error) {
+    if (error instanceof InsufficientStockError) {
+      throw new RowError('stock', error.message);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Create or update the product in a row
+ * @param {Object} row - Parsed product row
+ * @param {Object} context - Categories by slug and known products by slug
+ * @returns {Promise<string>} 'created' or 'updated'
+ */
+const importProductRow = async (row, context) => {
+  const existing = context.products.get(row.slug);
+  const data = productData(row, context.categories);
+
+  if (existing) {
+    if (row.stock !== undefined && await prisma.productVariant.count({ where: { productId: existing.id, deletedAt: null } }) > 0) {
+      throw new RowError('stock', 'Products with variants take their stock from the variants');
+    }
+
+    // One transaction, so a row whose stock can't be set changes nothing
+    const product = await prisma.$transaction(async (tx) => {
+      if (row.stock !== undefined) {
+        await importStock({ productId: existing.id, quantity: row.stock }, context, tx);
+      }
+
+      const updated = await tx.product.update({ where: { id: existing.id }, data });
+
+      if (updated.price !== existing.price || updated.discount !== existing.discount) {
+        await recordPriceChange(updated, 'import', context.importedById, tx);
+      }
+
+      return updated;
+    });
+
+    context.products.set(row.slug, product);
+    return 'updated';
+  }
+
+  ['name', 'price', 'category'].forEach((field) => {
+    if (row[field] === undefined) {
+      throw new RowError(field, 'Required for new products');
+    }
+  });
+
+  // One transaction, so a row whose stock can't be set doesn't leave a product behind
+  const product = await prisma.$transaction(async (tx) => {
+    const created = await tx.product.create({
+      data: {
+        ...data,
+        slug: row.slug,
+        stock: 0
+      }
+    });
+
+    await recordPriceChange(created, 'import', context.importedById, tx);
+
+    if (row.stock) {
+      await importStock({ productId: created.id, quantity: row.stock }, context, tx);
+    }
+
+    return created;
+  });
+  context.products.set(row.slug, product);
+
+  return 'created';
+};
+
+/**
+ * Create or update the variant in a row
+ * @param {Object} row - Parsed variant row
+ * @param {Object} context - Known products by slug and variants by SKU
+ * @returns {Promise<string>} 'created' or 'updated'
+ */
+const importVariantRow = async (row, context) => {
+  const existing = context.variants.get(row.sku);
+  const product = row.slug && context.products.get(row.slug);
+
+  if (row.slug && !product) {
+    throw new RowError('slug', `No product with slug "${row.slug}"`);
+  }
+
+  // Removed variants keep their SKU
+  if (existing && existing.deletedAt) {
+    throw new RowError('sku', 'SKU belongs to a removed variant');
+  }
+
+  if (existing && product && existing.productId !== product.id) {
+    throw new RowError('sku', 'SKU belongs to a different product');
+  }
+
+  const data = Object.fromEntries(['options', 'price', 'images']
+    .filter((field) => row[field] !== undefined)
+    .map((field) => [field, row[field]]));
+
+  if (existing) {
+    // One transaction, so a row whose stock can't be set changes nothing
+    await prisma.$transaction(async (tx) => {
+      if (row.stock !== undefined) {
+        await importStock({ productId: existing.productId, variantId: existing.id, quantity: row.stock }, context, tx);
+      }
+
+      await tx.productVariant.update({ where: { id: existing.id }, data });
+    });
+
+    return 'updated';
+  }
+
+  if (!product) {
+    throw new RowError('slug', 'Required for new variants');
+  }
+
+  if (!row.options) {
+    throw new RowError('options', 'Required for new variants');
+  }
+
+  const variant = await prisma.$transaction(async (tx) => {
+    const created = await tx.productVariant.create({
+      data: {
+        ...data,
+        sku: row.sku,
+        productId: product.id,
+        images: data.images || []
+      },
+      select: { id: true, productId: true }
+    });
+
+    // A product's stock is the total of its variants' stock, even with none in stock yet
+    await importStock({ productId: product.id, variantId: created.id, quantity: row.stock || 0 }, context, tx);
+
+    return created;
+  });
+  context.variants.set(row.sku, variant);
+
+  return 'created';
+};
+
+/**
+ * Import the rows of a job: validate them all, then create or update the
+ * products first and their variants after, recording progress and the
+ * problems with any rows that couldn't be imported
+ * @param {string} jobId - Import job ID
+ * @param {Object[]} rows - Raw rows from the file
+ */
+const runImportJob = async (jobId, rows) => {
+  const { valid, errors } = validateRows(rows);
+  const counts = { created: 0, updated: 0 };
+  // Rows that failed validation count as processed
+  let processed = rows.length - valid.length;
+
+  const saveProgress = (data = {}) => prisma.productImportJob.update({
+    where: { id: jobId },
+    data: {
+      processedRows: processed,
+      createdCount: counts.created,
+      updatedCount: counts.updated,
+      failedCount: new Set(errors.map((error) => error.row)).size,
+      errors: errors.slice(0, MAX_REPORTED_ERRORS),
+      ...data
+    }
+  });
+
+  const job = await saveProgress({ status: 'RUNNING', startedAt: new Date() });
+
+  // Look up everything the rows refer to in a few queries instead of one per row
+  const slugs = valid.map(({ row }) => row.slug).filter(Boolean);
+  const skus = valid.map(({ row }) => row.sku).filter(Boolean);
+
+  const [categories, products, variants] = await Promise.all([
+    prisma.category.findMany({ select: { id: true, slug: true } }),
+    prisma.product.findMany({
+      where: { slug: { in: slugs } },
+      select: {
+        id: true,
+        slug: true,
+        price: true,
+        discount: true
+      }
+    }),
+    prisma.productVariant.findMany({
+      where: { sku: { in: skus } },
+      select: { id: true, sku: true, productId: true, deletedAt: true }
+    })
+  ]);
+
+  const context = {
+    categories: new Map(categories.map((category) => [category.slug, category.id])),
+    products: new Map(products.map((product) => [product.slug, product])),
+    variants: new Map(variants.map((variant) => [variant.sku, variant])),
+    importedById: job.createdById
+  };
+
+  // Products first, so variant rows can refer to products created earlier in the same file
+  const ordered = [
+    ...valid.filter(({ row }) => !row.sku),
+    ...valid.filter(({ row }) => row.sku)
+  ];
+
+  for (const { rowNumber, row } of ordered) {
+    try {
+      const result = row.sku
+        ? await importVariantRow(row, context)
+        : await importProductRow(row, context);
+      counts[result]++;
+    } catch (error) {
+      errors.push({
+        row: rowNumber,
+        field: error instanceof RowError ? error.field : '',
+        message: error instanceof RowError ? error.message : 'Could not be saved'
+      });
+
+      if (!(error instanceof RowError)) {
+        logger.error(`Error importing row ${rowNumber} of import ${jobId}: ${error.message}`);
+      }
+    }
+
+    processed++;
+    if (processed % PROGRESS_INTERVAL === 0) {
+      await saveProgress();
+    }
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+  await saveProgress({ status: 'COMPLETED', completedAt: new Date() });
+
+  logger.info(`Import ${jobId} finished: ${counts.created} created, ${counts.updated} updated, ${errors.length} error(s)`);
+};
+
+/**
+ * Run an import job in the background. The request that started it returns
+ * straight away; progress is followed through the job's status.
+ * @param {string} jobId - Import job ID
+ * @param {Object[]} rows - Raw rows from the file
+ */
+const startImportJob = (jobId, rows) => {
+  setImmediate(() => {
+    const heartbeat = setInterval(() => {
+      prisma.productImportJob.update({
+        where: { id: jobId },
+        data: { updatedAt: new Date() }
+      }).catch(() => {});
+    }, HEARTBEAT_SECONDS * 1000).unref();
+
+    runImportJob(jobId, rows).catch(async (error) => {
+      logger.error(`Import ${jobId} failed: ${error.message}`);
+
+      await prisma.productImportJob.update({
+        where: { id: jobId },
+        data: { status: 'FAILED', completedAt: new Date() }
+      }).catch(() => {});
+    }).finally(() => clearInterval(heartbeat));
+  });
+};
+
+/**
+ * Mark imports whose server stopped while they were running as failed, since
+ * their rows only lived in memory. Jobs still being worked on by any server
+ * have a recent heartbeat and are left alone.
+ * @returns {Promise<number>} Number of jobs marked as failed
+ */
+const failInterruptedImports = async () => {
+  const { count } = await prisma.productImportJob.updateMany({
+    where: {
+      status: { in: ['PENDING', 'RUNNING'] },
+      updatedAt: { lt: new Date(Date.now() - STALE_AFTER_SECONDS * 1000) }
+    },
+    data: { status: 'FAILED', completedAt: new Date() }
+  });
+
+  return count;
+};
+
+/**
+ * Turn a product into export rows: one for the product and one per variant,
+ * in the same columns the import reads
+ * @param {Object} product - Product with its category and variants
+ * @param {string} format - csv or json
+ * @returns {Object[]} Rows
+ */
+const productToRows = (product, format) => {
+  const csv = format === 'csv';
+  const joinList = (values) => (csv ? values.join('|') : values);
+  const formatDate = (value) => (value ? value.toISOString() : null);
+
+  const rows = [{
+    slug: product.slug,
+    name: product.name,
+    description: product.description,
+    price: product.price,
+    discount: product.discount,
+    stock: product.stock,
+    isPrime: product.isPrime,
+    images: joinList(product.images),
+    category: product.category.slug,
+    brand: product.brand,
+    model: product.model,
+    dimensions: product.dimensions,
+    weight: product.weight,
+    color: product.color,
+    material: product.material,
+    warranty: product.warranty,
+    features: joinList(product.features),
+    status: product.status,
+    publishAt: formatDate(product.publishAt),
+    unpublishAt: formatDate(product.unpublishAt)
+  }];
+
+  product.variants.forEach((variant) => {
+    rows.push({
+      slug: product.slug,
+      sku: variant.sku,
+      options: csv
+        ? Object.entries(variant.options).map(([option, value]) => `${option}=${value}`).join(';')
+        : variant.options,
+      price: variant.price,
+      stock: variant.stock,
+      images: joinList(variant.images)
+    });
+  });
+
+  return rows;
+};
+
+module.exports = {
+  IMPORT_COLUMNS,
+  parseImportFile,
+  startImportJob,
+  failInterruptedImports,
+  productToRows
+};
@@ -0,0 +1,234 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('./logger');
+const { discountedPrice } = require('./pricing');
+
+const prisma = new PrismaClient();
+
+// "Lowest price" covers this many days, as required for honest "was" prices
+const LOWEST_PRICE_DAYS = 30;
+
+/**
+ * Record a product's current price in its price history. Call after every
+ * change to a product's price or discount.
+ * @param {Object} product - Product with id, price and discount
+ * @param {string} source - What changed it: update, import or schedule
+ * @param {string} [changedById] - Who changed it
+ * @param {Object} [client] - Prisma client or transaction to use
+ * @returns {Promise<Object>} History entry
+ */
+const recordPriceChange = (product, source, changedById, client = prisma) => {
+  return client.productPriceHistory.create({
+    data: {
+      productId: product.id,
+      price: product.price,
+      discount: product.discount,
+      effectivePrice: discountedPrice(product.price, product.discount),
+      source,
+      changedById
+    }
+  });
+};
+
+/**
+ * Get the lowest price (after discounts) each product has had in the last
+ * 30 days, counting the price that was in effect when the period began
+ * @param {string[]} productIds - Products
+ * @returns {Promise<Map<string, number>>} Lowest price by product ID
+ */
+const getLowestPrices = async (productIds) => {
+  if (productIds.length === 0) {
+    return new Map();
+  }
+
+  const since = new Date(Date.now() - LOWEST_PRICE_DAYS * 24 * 60 * 60 * 1000);
+
+  const rows = await prisma.$queryRaw`
+    SELECT "productId", MIN("effectivePrice") AS "lowestPrice"
+    FROM (
+      (
+        SELECT "productId", "effectivePrice"
+        FROM "ProductPriceHistory"
+        WHERE "productId" = ANY(${productIds}) AND "createdAt" >= ${since}
+      )
+      UNION ALL
+      (
+        SELECT DISTINCT ON ("productId") "productId", "effectivePrice"
+        FROM "ProductPriceHistory"
+        WHERE "productId" = ANY(${productIds}) AND "createdAt" < ${since}
+        ORDER BY "productId", "createdAt" DESC
+      )
+    ) AS "prices"
+    GROUP BY "productId"
+  `;
+
+  return new Map(rows.map((row) => [row.productId, Number(row.lowestPrice)]));
+};
+
+/**
+ * Add the effective price (after the discount) and the lowest price in the
+ * last 30 days to each product
+ * @param {Object[]} products - Products with id, price and discount
+ * @returns {Promise<Object[]>} Products with effectivePrice and lowestPrice30Days
+ */
+const addPriceInfo = async (products) => {
+  const lowestPrices = await getLowestPrices(products.map((product) => product.id));
+
+  return products.map((product) => {
+    const effectivePrice = discountedPrice(product.price, product.discount);
+    const lowestPrice = lowestPrices.get(product.id);
+
+    return {
+      ...product,
+      effectivePrice,
+      lowestPrice30Days: lowestPrice !== undefined ? Math.min(lowestPrice, effectivePrice) : effectivePrice
+    };
+  });
+};
+
+/**
+ * Put a schedule's price and discount into effect, remembering the ones it
+ * replaces so they can be restored when it ends. The schedule is claimed
+ * first, so it only starts once even if another run or server got to it.
+ * @param {Object} schedule - Price schedule
+ * @returns {Promise<boolean>} Whether this call started it
+ */
+const startPriceSchedule = async (schedule) => {
+  return prisma.$transaction(async (tx) => {
+    const now = new Date();
+
+    const { count } = await tx.productPriceSchedule.updateMany({
+      where: { id: schedule.id, appliedAt: null },
+      data: {
+        appliedAt: now,
+        // A change with no end is simply the new price
+        endedAt: schedule.endsAt ? null : now
+      }
+    });
+
+    if (count !== 1) {
+      return false;
+    }
+
+    const product = await tx.product.findUnique({ where: { id: schedule.productId } });
+
+    const updated = await tx.product.update({
+      where: { id: product.id },
+      data: {
+        price: schedule.price !== null ? schedule.price : product.price,
+        discount: schedule.discount !== null ? schedule.discount : product.discount
+      }
+    });
+
+    await tx.productPriceSchedule.update({
+      where: { id: schedule.id },
+      data: {
+        previousPrice: product.price,
+        previousDiscount: product.discount
+      }
+    });
+
+    await recordPriceChange(updated, 'schedule', schedule.createdById, tx);
+
+    return true;
+  });
+};
+
+/**
+ * End a running schedule, restoring the price and discount it replaced.
+ * Anything changed by hand while it ran is kept. Like starting, the
+ * schedule is claimed first so the old price is only restored once.
+ * @param {Object} schedule - Price schedule that has been applied
+ * @returns {Promise<boolean>} Whether this call ended it
+ */
+const endPriceSchedule = async (schedule) => {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.productPriceSchedule.updateMany({
+      where: { id: schedule.id, appliedAt: { not: null }, endedAt: null },
+      data: { endedAt: new Date() }
+    });
+
+    if (count !== 1) {
+      return false;
+    }
+
+    const product = await tx.product.findUnique({ where: { id: schedule.productId } });
+    const data = {};
+
+    if (schedule.price !== null && product.price === schedule.price) {
+      data.price = schedule.previousPrice;
+    }
+    if (schedule.discount !== null && product.discount === schedule.discount) {
+      data.discount = schedule.previousDiscount;
+    }
+
+    if (Object.keys(data).length > 0) {
+      const updated = await tx.product.update({ where: { id: product.id }, data });
+      await recordPriceChange(updated, 'schedule', schedule.createdById, tx);
+    }
+
+    return true;
+  });
+};
+
+/**
+ * Start schedules whose time has come and end those that have run their
+ * course. Run every minute. A schedule that fails is logged and tried again
+ * on the next run without holding up the others.
+ * @returns {Promise<{ started: number, ended: number }>} Schedules started and ended
+ */
+const applyPriceSchedules = async () => {
+  const now = new Date();
+
+  const due = await prisma.productPriceSchedule.findMany({
+    where: { appliedAt: null, startsAt: { lte: now } },
+    orderBy: { startsAt: 'asc' }
+  });
+
+  let started = 0;
+  for (const schedule of due) {
+    try {
+      // Schedules that came and went while the server was down never apply
+      if (schedule.endsAt && schedule.endsAt <= now) {
+        const { count } = await prisma.productPriceSchedule.updateMany({
+          where: { id: schedule.id, appliedAt: null },
+          data: { appliedAt: now, endedAt: now }
+        });
+        if (count === 1) {
+          logger.warn(`Price schedule ${schedule.id} was skipped because it ended before it could start`);
+        }
+        continue;
+      }
+
+      if (await startPriceSchedule(schedule)) {
+        started++;
+      }
+    } catch (error) {
+      logger.error(`Error starting price schedule ${schedule.id}: ${error.message}`);
+    }
+  }
+
+  const finished = await prisma.productPriceSchedule.findMany({
+    where: { appliedAt: { not: null }, endedAt: null, endsAt: { lte: now } }
+  });
+
+  let ended = 0;
+  for (const schedule of finished) {
+    try {
+      if (await endPriceSchedule(schedule)) {
+        ended++;
+      }
+    } catch (error) {
+      logger.error(`Error ending price schedule ${schedule.id}: ${error.message}`);
+    }
+  }
+
+  return { started, ended };
+};
+
+module.exports = {
+  recordPriceChange,
+  getLowestPrices,
+  addPriceInfo,
+  endPriceSchedule,
+  applyPriceSchedules
+};
@@ -0,0 +1,266 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { liveProductFilter, liveProductSql } = require('./productVisibility');
+
+const prisma = new PrismaClient();
+
+// Only the best matches are considered, so broad searches stay cheap
+const MAX_SEARCH_RESULTS = 1000;
+
+// Placeholder markers for highlighted words, swapped for <mark> once the text is escaped
+const HIGHLIGHT_START = '[[[hl:';
+const HIGHLIGHT_END = ':hl]]]';
+const HIGHLIGHT_OPTIONS = `StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_END}", HighlightAll=true`;
+const SNIPPET_OPTIONS = `StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_END}", MaxFragments=2, MaxWords=20, MinWords=8, FragmentDelimiter=" … "`;
+
+// Suggestions are requested on every keystroke, so recent answers are kept briefly
+const SUGGESTION_CACHE_TTL_MS = 60 * 1000; // 1 minute
+const SUGGESTION_CACHE_SIZE = 500;
+const suggestionCache = new Map();
+
+// How close a word must be (0-1, as in pg_trgm) to be offered as a correction
+const CORRECTION_THRESHOLD = 0.4;
+
+/**
+ * Find products matching a full-text search, ranked by relevance. Matches in
+ * the name count most, then brand, then features, then description. Hidden
+ * products are left out before the best matches are picked, so they can't
+ * crowd out live ones.
+ * @param {string} search - Search text (supports "quoted phrases", OR and -exclusions)
+ * @param {boolean} [liveOnly=true] - Only search products customers can see
+ * @returns {Promise<{ ranks: Map<string, number>, total: number }>} Rank by product ID for the best matches, best first, and the number of matches in all
+ */
+const searchProducts = async (search, liveOnly = true) => {
+  const live = liveOnly ? Prisma.sql`AND ${liveProductSql()}` : Prisma.empty;
+
+  const [matches, [{ total }]] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT "id", ts_rank("searchVector", query) AS "rank"
+      FROM "Product", websearch_to_tsquery('english', ${search}) AS query
+      WHERE "searchVector" @@ query ${live}
+      ORDER BY "rank" DESC
+      LIMIT ${MAX_SEARCH_RESULTS}
+    `,
+    prisma.$queryRaw`
+      SELECT COUNT(*)::int AS "total"
+      FROM "Product", websearch_to_tsquery('english', ${search}) AS query
+      WHERE "searchVector" @@ query ${live}
+    `
+  ]);
+
+  return {
+    ranks: new Map(matches.map((match) => [match.id, Number(match.rank)])),
+    total
+  };
+};
+
+/**
+ * Escape text for HTML, then turn the highlight markers into <mark> tags
+ * @param {string} text - Text returned by ts_headline
+ * @returns {string} Safe HTML
+ */
+const toHighlightHtml = (text) => {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .split(HIGHLIGHT_START).join('<mark>')
+    .split(HIGHLIGHT_END).join('</mark>');
+};
+
+/**
+ * Get the name and a description snippet for each product with the search
+ * words highlighted
+ * @param {string} search - Search text
+ * @param {string[]} productIds - Products to highlight (just the current page)
+ * @returns {Promise<Map<string, { name: string, description: string }>>} Highlights by product ID
+ */
+const getSearchHighlights = async (search, productIds) => {
+  if (productIds.length === 0) {
+    return new Map();
+  }
+
+  const rows = await prisma.$queryRaw`
+    SELECT
+      "id",
+      ts_headline('english', "name", query, ${HIGHLIGHT_OPTIONS}) AS "name",
+      ts_headline('english', coalesce("description", ''), query, ${SNIPPET_OPTIONS}) AS "description"
+    FROM "Product", websearch_to_tsquery('english', ${search}) AS query
+    WHERE "id" = ANY(${productIds})
+  `;
+
+  return new Map(rows.map((row) => [
+    row.id,
+    {
+      name: toHighlightHtml(row.name),
+      description: toHighlightHtml(row.description)
+    }
+  ]));
+};
+
+/**
+ * Get prefix completions for a partly typed search across product names,
+ * brands and category names
+ * @param {string} query - Text typed so far
+ * @param {number} [limit=5] - Maximum suggestions of each kind
+ * @returns {Promise<Object>} Matching products, brands and categories
+ */
+const getSuggestions = async (query, limit = 5) => {
+  const key = `${query.toLowerCase()}|${limit}`;
+  const cached = suggestionCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.suggestions;
+  }
+
+  const [products, brands, categories] = await Promise.all([
+    // Match the start of the name or of any word in it ("pro" finds "AirPods Pro")
+    prisma.product.findMany({
+      where: {
+        ...liveProductFilter(),
+        OR: [
+          { name: { startsWith: query, mode: 'insensitive' } },
+          { name: { contains: ` ${query}`, mode: 'insensitive' } }
+        ]
+      },
+      select: {
+        id: true,
+        name: true,
+        slug: true,
+        images: true
+      },
+      orderBy: [
+        { reviewCount: 'desc' },
+        { rating: 'desc' }
+      ],
+      take: limit
+    }),
+    prisma.product.groupBy({
+      by: ['brand'],
+      where: {
+        ...liveProductFilter(),
+        brand: { startsWith: query, mode: 'insensitive' }
+      },
+      _count: { _all: true },
+      orderBy: { _count: { brand: 'desc' } },
+      take: limit
+    }),
+    prisma.category.findMany({
+      where: { name: { startsWith: query, mode: 'insensitive' } },
+      select: {
+        id: true,
+        name: true,
+        slug: true
+      },
+      orderBy: { name: 'asc' },
+      take: limit
+    })
+  ]);
+
+  const suggestions = {
+    products: products.map(({ images, ...product }) => ({ ...product, image: images[0] || null })),
+    brands: brands.map((group) => ({ name: group.brand, count: group._count._all })),
+    categories
+  };
+
+  // Drop the oldest entry once the cache is full (Maps keep insertion order)
+  if (suggestionCache.size >= SUGGESTION_CACHE_SIZE) {
+    suggestionCache.delete(suggestionCache.keys().next().value);
+  }
+  suggestionCache.set(key, { suggestions, expiresAt: Date.now() + SUGGESTION_CACHE_TTL_MS });
+
+  return suggestions;
+};
+
+/**
+ * Split a word into trigrams the way pg_trgm does
+ * @param {string} word - Word
+ * @returns {Set<string>} Trigrams
+ */
+const trigrams = (word) => {
+  const padded = `  ${word.toLowerCase()} `;
+  const result = new Set();
+
+  for (let i = 0; i < padded.length - 2; i++) {
+    result.add(padded.slice(i, i + 3));
+  }
+
+  return result;
+};
+
+/**
+ * Trigram similarity of two words, from 0 (nothing shared) to 1 (identical)
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} Similarity
+ */
+const similarity = (a, b) => {
+  const aTrigrams = trigrams(a);
+  const bTrigrams = trigrams(b);
+  const shared = [...aTrigrams].filter((trigram) => bTrigrams.has(trigram)).length;
+
+  return shared / (aTrigrams.size + bTrigrams.size - shared);
+};
+
+/**
+ * Find the closest known word to a possibly misspelled one, looking through
+ * product names, brands and category names with a trigram index
+ * @param {string} word - Word from the search
+ * @returns {Promise<string|null>} Closest word, or null if nothing is close enough
+ */
+const findClosestWord = async (word) => {
+  // Only live products, so the correction can't point at a hidden one
+  const live = liveProductSql();
+
+  const candidates = await prisma.$queryRaw`
+    (SELECT "name" AS "text" FROM "Product" WHERE ${word} <% "name" AND ${live} LIMIT 20)
+    UNION
+    (SELECT "brand" FROM "Product" WHERE ${word} <% "brand" AND ${live} LIMIT 20)
+    UNION
+    (SELECT "name" FROM "Category" WHERE ${word} <% "name" LIMIT 20)
+  `;
+
+  let best = null;
+  let bestScore = CORRECTION_THRESHOLD;
+
+  candidates
+    .flatMap((candidate) => candidate.text.split(/[^\p{L}\p{N}]+/u))
+    .filter((candidate) => candidate.length > 1)
+    .forEach((candidate) => {
+      const score = similarity(word, candidate);
+      if (score > bestScore) {
+        best = candidate.toLowerCase();
+        bestScore = score;
+      }
+    });
+
+  return best;
+};
+
+/**
+ * Suggest a corrected search ("did you mean") for a search with no results
+ * @param {string} search - Search text
+ * @returns {Promise<string|null>} Corrected search, or null if there is nothing better
+ */
+const getSpellingCorrection = async (search) => {
+  const words = search.toLowerCase().split(/\s+/).filter(Boolean).slice(0, 5);
+
+  const corrected = await Promise.all(words.map(async (word) => {
+    // Short words and numbers (model numbers, sizes) are left alone
+    if (word.length < 3 || /\d/.test(word)) {
+      return word;
+    }
+
+    return (await findClosestWord(word)) || word;
+  }));
+
+  const suggestion = corrected.join(' ');
+
+  return suggestion !== words.join(' ') ? suggestion : null;
+};
+
+module.exports = {
+  searchProducts,
+  getSearchHighlights,
+  getSuggestions,
+  getSpellingCorrection
+};
@@ -0,0 +1,93 @@
+const { Prisma } = require('@prisma/client');
+
+// Lifecycle states a product can be in (ProductStatus in the schema)
+const PRODUCT_STATUSES = ['DRAFT', 'PUBLISHED', 'ARCHIVED'];
+
+/**
+ * Prisma condition matching products customers can see: published, past
+ * their publishAt (if any) and not yet at their unpublishAt (if any)
+ * @param {Date} [now] - Point in time to check
+ * @returns {Object} Prisma where condition
+ */
+const liveProductFilter = (now = new Date()) => {
+  return {
+    status: 'PUBLISHED',
+    AND: [
+      { OR: [{ publishAt: null }, { publishAt: { lte: now } }] },
+      { OR: [{ unpublishAt: null }, { unpublishAt: { gt: now } }] }
+    ]
+  };
+};
+
+/**
+ * The same condition as liveProductFilter for raw SQL on "Product"
+ * @returns {Prisma.Sql} SQL condition
+ */
+const liveProductSql = () => {
+  return Prisma.sql`
+    "status" = 'PUBLISHED'
+    AND ("publishAt" IS NULL OR "publishAt" <= now())
+    AND ("unpublishAt" IS NULL OR "unpublishAt" > now())
+  `;
+};
+
+/**
+ * Check whether customers can see a product
+ * @param {Object} product - Product with status, publishAt and unpublishAt
+ * @param {Date} [now] - Point in time to check
+ * @returns {boolean} Whether the product is live
+ */
+const isProductLive = (product, now = new Date()) => {
+  return product.status === 'PUBLISHED' &&
+    (!product.publishAt || product.publishAt <= now) &&
+    (!product.unpublishAt || product.unpublishAt > now);
+};
+
+/**
+ * Read and check the lifecycle fields of a product create or update request
+ * @param {Object} data - Request body
+ * @param {Object} [current] - Product being updated
+ * @param {Response} res - Express response object
+ * @returns {Object} status, publishAt and unpublishAt to store (only those given)
+ */
+const parseLifecycleFields = (data, current, res) => {
+  const fields = {};
+
+  if (data.status !== undefined) {
+    if (!PRODUCT_STATUSES.includes(data.status)) {
+      res.status(400);
+      throw new Error(`Status must be one of ${PRODUCT_STATUSES.join(', ')}`);
+    }
+    fields.status = data.status;
+  }
+
+  ['publishAt', 'unpublishAt'].forEach((field) => {
+    if (data[field] === undefined) {
+      return;
+    }
+
+    const date = data[field] ? new Date(data[field]) : null;
+    if (date && isNaN(date.getTime())) {
+      res.status(400);
+      throw new Error(`${field} must be a valid date`);
+    }
+    fields[field] = date;
+  });
+
+  const publishAt = fields.publishAt !== undefined ? fields.publishAt : current && current.publishAt;
+  const unpublishAt = fields.unpublishAt !== undefined ? fields.unpublishAt : current && current.unpublishAt;
+  if (publishAt && unpublishAt && unpublishAt <= publishAt) {
+    res.status(400);
+    throw new Error('unpublishAt must be after publishAt');
+  }
+
+  return fields;
+};
+
+module.exports = {
+  PRODUCT_STATUSES,
+  liveProductFilter,
+  liveProductSql,
+  isProductLive,
+  parseLifecycleFields
+};
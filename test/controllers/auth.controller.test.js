@@ -0,0 +1,127 @@
+jest.mock('../../src/utils/email/emailService');
+
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const { prisma } = require('../helpers/prisma');
+const { buildApp } = require('../helpers/app');
+const { hashToken } = require('../../src/utils/auth/tokenHash');
+const authRoutes = require('../../src/routes/auth.routes');
+
+const app = buildApp('/api/auth', authRoutes);
+
+describe('POST /api/auth/refresh', () => {
+  const session = {
+    id: 'session-1',
+    userId: 'user-1',
+    refreshTokenHash: hashToken('secret-1'),
+    impersonatorId: null,
+    revokedAt: null,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  };
+
+  it('issues a new token pair for the current refresh token', async () => {
+    prisma.session.findUnique.mockResolvedValue(session);
+    prisma.session.updateMany.mockResolvedValue({ count: 1 });
+
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: 'session-1.secret-1' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.body.refreshToken).toMatch(/^session-1\./);
+  });
+
+  it('rejects a replayed refresh token and signs the session out', async () => {
+    prisma.session.findUnique.mockResolvedValue({ ...session, refreshTokenHash: hashToken('secret-2') });
+    prisma.session.updateMany.mockResolvedValue({ count: 1 });
+
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: 'session-1.secret-1' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid or expired refresh token');
+    expect(prisma.session.updateMany).toHaveBeenCalledWith({
+      where: { id: 'session-1', revokedAt: null },
+      data: { revokedAt: expect.any(Date) }
+    });
+  });
+
+  it('requires a refresh token', async () => {
+    const res = await request(app).post('/api/auth/refresh').send({});
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  const user = {
+    id: 'user-1',
+    email: 'jane@example.com',
+    password: bcrypt.hashSync('correct horse', 4),
+    failedLoginAttempts: 0,
+    twoFactorMethod: 'EMAIL'
+  };
+
+  it('refuses a locked account without checking the password', async () => {
+    prisma.user.findUnique.mockResolvedValue({ ...user, lockedUntil: new Date(Date.now() + 60 * 1000) });
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'jane@example.com', password: 'correct horse' });
+
+    expect(res.status).toBe(423);
+    expect(res.headers['retry-after']).toBe('60');
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+
+  it('counts a wrong password towards the lockout', async () => {
+    prisma.user.findUnique.mockResolvedValue(user);
+    prisma.user.update.mockResolvedValue({ ...user, failedLoginAttempts: 1 });
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: ' Jane@Example.com ', password: 'wrong' });
+
+    expect(res.status).toBe(401);
+    expect(prisma.user.findUnique).toHaveBeenCalledWith({ where: { email: 'jane@example.com' } });
+    expect(prisma.user.update).toHaveBeenCalledWith({
+      where: { id: 'user-1' },
+      data: { failedLoginAttempts: { increment: 1 }, lastFailedLoginAt: expect.any(Date) }
+    });
+  });
+});
+
+describe('POST /api/auth/unlock', () => {
+  it('only accepts an unexpired token, looked up by its hash', async () => {
+    prisma.user.findFirst.mockResolvedValue(null);
+
+    const res = await request(app).post('/api/auth/unlock').send({ token: 'unlock-1' });
+
+    expect(res.status).toBe(400);
+    expect(prisma.user.findFirst).toHaveBeenCalledWith({
+      where: { unlockTokenHash: hashToken('unlock-1'), unlockTokenExpiry: { gt: expect.any(Date) } }
+    });
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+
+  it('clears the lock and the failed attempts', async () => {
+    prisma.user.findFirst.mockResolvedValue({ id: 'user-1' });
+
+    const res = await request(app).post('/api/auth/unlock').send({ token: 'unlock-1' });
+
+    expect(res.status).toBe(200);
+    expect(prisma.user.update).toHaveBeenCalledWith({
+      where: { id: 'user-1' },
+      data: {
+        failedLoginAttempts: 0,
+        lastFailedLoginAt: null,
+        otpAttempts: 0,
+        lockedUntil: null,
+        unlockTokenHash: null,
+        unlockTokenExpiry: null
+      }
+    });
+  });
+});
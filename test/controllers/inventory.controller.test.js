@@ -0,0 +1,138 @@
+const request = require('supertest');
+const { prisma } = require('../helpers/prisma');
+const { buildApp } = require('../helpers/app');
+const inventoryRoutes = require('../../src/routes/inventory.routes');
+
+const app = buildApp('/api/inventory', inventoryRoutes);
+
+const KEY = 'ak_warehouse-key';
+
+/**
+ * Sign requests in with a warehouse API key, and make loc-1 and loc-2
+ * active locations and product-1 a product without variants
+ * @param {string[]} [scopes] - Scopes of the key
+ */
+const mockWarehouse = (scopes = ['inventory:manage']) => {
+  prisma.apiKey.findUnique.mockResolvedValue({
+    id: 'key-1',
+    scopes,
+    revokedAt: null,
+    expiresAt: null,
+    lastUsedAt: new Date(),
+    user: { id: 'warehouse-1', role: 'WAREHOUSE' }
+  });
+  prisma.stockLocation.findUnique.mockImplementation(({ where }) =>
+    Promise.resolve({ id: where.id, isActive: where.id !== 'loc-closed' }));
+  prisma.product.findUnique.mockResolvedValue({ id: 'product-1', variants: [] });
+  prisma.stockLevel.groupBy.mockResolvedValue([]);
+  prisma.productVariant.findMany.mockResolvedValue([]);
+  prisma.stockMovement.create.mockImplementation(({ data }) => Promise.resolve({ id: `movement-${data.locationId}`, ...data }));
+};
+
+describe('POST /api/inventory/transfers', () => {
+  const transfer = { fromLocationId: 'loc-1', toLocationId: 'loc-2', productId: 'product-1', quantity: 3 };
+
+  it('books stock out of one location and into the other under one reference', async () => {
+    mockWarehouse();
+    prisma.stockLevel.updateMany.mockResolvedValue({ count: 1 });
+
+    const res = await request(app).post('/api/inventory/transfers').set('X-API-Key', KEY).send(transfer);
+
+    expect(res.status).toBe(201);
+    expect(res.body.movements).toEqual([
+      expect.objectContaining({ locationId: 'loc-1', quantity: -3, type: 'TRANSFER', reference: res.body.reference }),
+      expect.objectContaining({ locationId: 'loc-2', quantity: 3, type: 'TRANSFER', reference: res.body.reference })
+    ]);
+    expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+  });
+
+  it('moves nothing when the source location does not hold enough', async () => {
+    mockWarehouse();
+    prisma.stockLevel.updateMany.mockResolvedValue({ count: 0 });
+
+    const res = await request(app).post('/api/inventory/transfers').set('X-API-Key', KEY).send(transfer);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Not enough stock at this location');
+    expect(prisma.$executeRaw).not.toHaveBeenCalled();
+    expect(prisma.stockMovement.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses a transfer to the same location', async () => {
+    mockWarehouse();
+
+    const res = await request(app)
+      .post('/api/inventory/transfers')
+      .set('X-API-Key', KEY)
+      .send({ ...transfer, toLocationId: 'loc-1' });
+
+    expect(res.status).toBe(400);
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('refuses an inactive location', async () => {
+    mockWarehouse();
+
+    const res = await request(app)
+      .post('/api/inventory/transfers')
+      .set('X-API-Key', KEY)
+      .send({ ...transfer, toLocationId: 'loc-closed' });
+
+    expect(res.status).toBe(404);
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('needs the inventory:manage scope', async () => {
+    mockWarehouse(['orders:read']);
+
+    const res = await request(app).post('/api/inventory/transfers').set('X-API-Key', KEY).send(transfer);
+
+    expect(res.status).toBe(403);
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/inventory/adjustments', () => {
+  it('receives stock and updates the product total', async () => {
+    mockWarehouse();
+    prisma.stockLevel.groupBy.mockResolvedValue([{ variantId: null, _sum: { quantity: 15 } }]);
+
+    const res = await request(app)
+      .post('/api/inventory/adjustments')
+      .set('X-API-Key', KEY)
+      .send({ locationId: 'loc-1', productId: 'product-1', quantity: 15, type: 'RECEIPT', reference: 'PO-1' });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ type: 'RECEIPT', quantity: 15, reference: 'PO-1', createdById: 'warehouse-1' });
+    expect(prisma.product.update).toHaveBeenCalledWith({ where: { id: 'product-1' }, data: { stock: 15 } });
+  });
+
+  it.each([
+    ['a receipt that takes stock away', { quantity: -2, type: 'RECEIPT' }],
+    ['a sale booked by hand', { quantity: -2, type: 'SALE' }],
+    ['a quantity that is not a whole number', { quantity: 1.5 }]
+  ])('refuses %s', async (label, changes) => {
+    mockWarehouse();
+
+    const res = await request(app)
+      .post('/api/inventory/adjustments')
+      .set('X-API-Key', KEY)
+      .send({ locationId: 'loc-1', productId: 'product-1', ...changes });
+
+    expect(res.status).toBe(400);
+    expect(prisma.stockMovement.create).not.toHaveBeenCalled();
+  });
+
+  it('asks for a variant when the product has them', async () => {
+    mockWarehouse();
+    prisma.product.findUnique.mockResolvedValue({ id: 'product-1', variants: [{ id: 'variant-1' }] });
+
+    const res = await request(app)
+      .post('/api/inventory/adjustments')
+      .set('X-API-Key', KEY)
+      .send({ locationId: 'loc-1', productId: 'product-1', quantity: 2 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('This product has variants; please choose one');
+  });
+});
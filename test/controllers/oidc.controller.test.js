@@ -0,0 +1,211 @@
+jest.mock('../../src/utils/email/emailService');
+jest.mock('../../src/utils/auth/oidcProviders');
+
+const request = require('supertest');
+const { prisma } = require('../helpers/prisma');
+const { buildApp } = require('../helpers/app');
+const emailService = require('../../src/utils/email/emailService');
+const { getProviderClient } = require('../../src/utils/auth/oidcProviders');
+const { hashToken, hashOtp } = require('../../src/utils/auth/tokenHash');
+const authRoutes = require('../../src/routes/auth.routes');
+
+const app = buildApp('/api/auth', authRoutes);
+
+const verifiedClaims = {
+  sub: 'google-sub-1',
+  email: 'Jane@Example.com',
+  email_verified: true,
+  name: 'Jane'
+};
+
+const localUser = {
+  id: 'user-1',
+  email: 'jane@example.com',
+  emailVerified: true,
+  failedLoginAttempts: 0,
+  twoFactorMethod: 'EMAIL'
+};
+
+/**
+ * Make the provider return the given claims for the pending state-1 sign-in
+ * @param {Object} claims - ID token claims
+ */
+const signInWith = (claims) => {
+  getProviderClient.mockResolvedValue({
+    config: { redirectUri: 'http://server.test/api/auth/oidc/google/callback' },
+    client: {
+      callbackParams: () => ({ code: 'code-1', state: 'state-1' }),
+      callback: jest.fn().mockResolvedValue({ claims: () => claims })
+    }
+  });
+
+  prisma.oAuthState.findUnique.mockResolvedValue({
+    id: 'oauth-state-1',
+    provider: 'google',
+    nonce: 'nonce-1',
+    codeVerifier: 'verifier-1',
+    expiresAt: new Date(Date.now() + 60 * 1000)
+  });
+};
+
+const callback = () => request(app).get('/api/auth/oidc/google/callback?code=code-1&state=state-1');
+
+/**
+ * Read the challenge the callback hands to the client in the redirect fragment
+ * @param {Object} res - Supertest response
+ * @returns {URLSearchParams} Fragment parameters
+ */
+const redirectFragment = (res) => {
+  const [location, fragment] = res.headers.location.split('#');
+  expect(location).toBe('http://client.test/auth/callback');
+  return new URLSearchParams(fragment);
+};
+
+describe('GET /api/auth/oidc/:provider/callback', () => {
+  it('links a verified account by its normalised email and asks for the second factor', async () => {
+    signInWith(verifiedClaims);
+    prisma.userIdentity.findUnique.mockResolvedValue(null);
+    prisma.user.findUnique.mockResolvedValue(localUser);
+
+    const res = await callback();
+
+    expect(res.status).toBe(302);
+    expect(prisma.oAuthState.delete).toHaveBeenCalledWith({ where: { id: 'oauth-state-1' } });
+    expect(prisma.user.findUnique).toHaveBeenCalledWith({ where: { email: 'jane@example.com' } });
+    expect(prisma.userIdentity.create).toHaveBeenCalledWith({
+      data: { userId: 'user-1', provider: 'google', subject: 'google-sub-1', email: 'jane@example.com' }
+    });
+
+    // No session yet: the client gets a challenge to finish at verify-otp
+    const fragment = redirectFragment(res);
+    expect(fragment.get('method')).toBe('EMAIL');
+    expect(fragment.get('userId')).toBe('user-1');
+    expect(prisma.session.create).not.toHaveBeenCalled();
+
+    const { data } = prisma.user.update.mock.calls[0][0];
+    expect(data.loginChallengeHash).toBe(hashToken(fragment.get('challengeToken')));
+    expect(data.otpHash).toEqual(expect.any(String));
+    expect(emailService.sendOtpEmail).toHaveBeenCalledWith(localUser, expect.stringMatching(/^\d{6}$/));
+  });
+
+  it('refuses to link an account whose email has not been verified', async () => {
+    signInWith(verifiedClaims);
+    prisma.userIdentity.findUnique.mockResolvedValue(null);
+    prisma.user.findUnique.mockResolvedValue({ ...localUser, emailVerified: false });
+
+    const res = await callback();
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/hasn't been verified/);
+    expect(prisma.userIdentity.create).not.toHaveBeenCalled();
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+
+  it('refuses an email the provider has not verified', async () => {
+    signInWith({ ...verifiedClaims, email_verified: false });
+    prisma.userIdentity.findUnique.mockResolvedValue(null);
+
+    const res = await callback();
+
+    expect(res.status).toBe(400);
+    expect(prisma.user.findUnique).not.toHaveBeenCalled();
+    expect(prisma.userIdentity.create).not.toHaveBeenCalled();
+  });
+
+  it('creates a verified account when no account has the email', async () => {
+    signInWith(verifiedClaims);
+    prisma.userIdentity.findUnique.mockResolvedValue(null);
+    prisma.user.findUnique.mockResolvedValue(null);
+    prisma.user.create.mockResolvedValue({ ...localUser, id: 'user-2' });
+
+    const res = await callback();
+
+    expect(res.status).toBe(302);
+    expect(prisma.user.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ email: 'jane@example.com', emailVerified: true })
+    }));
+    expect(prisma.userIdentity.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ userId: 'user-2', subject: 'google-sub-1' })
+    });
+  });
+
+  it('refuses a locked account', async () => {
+    signInWith(verifiedClaims);
+    prisma.userIdentity.findUnique.mockResolvedValue({
+      user: { ...localUser, lockedUntil: new Date(Date.now() + 60 * 1000) }
+    });
+
+    const res = await callback();
+
+    expect(res.status).toBe(423);
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+
+  it('asks authenticator app users for a TOTP code without emailing one', async () => {
+    signInWith(verifiedClaims);
+    prisma.userIdentity.findUnique.mockResolvedValue({ user: { ...localUser, twoFactorMethod: 'TOTP' } });
+
+    const res = await callback();
+
+    expect(redirectFragment(res).get('method')).toBe('TOTP');
+    expect(prisma.user.update.mock.calls[0][0].data).not.toHaveProperty('otpHash');
+    expect(emailService.sendOtpEmail).not.toHaveBeenCalled();
+  });
+
+  it('refuses a state that has already been redeemed', async () => {
+    signInWith(verifiedClaims);
+    prisma.oAuthState.findUnique.mockResolvedValue(null);
+
+    const res = await callback();
+
+    expect(res.status).toBe(400);
+    expect(prisma.userIdentity.findUnique).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/auth/verify-otp with a challenge token', () => {
+  const challengedUser = {
+    ...localUser,
+    otpHash: hashOtp('123456'),
+    otpExpiry: new Date(Date.now() + 60 * 1000),
+    loginChallengeHash: hashToken('challenge-1'),
+    loginChallengeExpiry: new Date(Date.now() + 60 * 1000),
+    updatedAt: new Date()
+  };
+
+  it('signs in with the code and the challenge, then consumes the challenge', async () => {
+    prisma.user.findUnique.mockResolvedValue(challengedUser);
+    prisma.user.updateMany.mockResolvedValue({ count: 1 });
+    prisma.session.create.mockResolvedValue({ id: 'session-1' });
+
+    const res = await request(app)
+      .post('/api/auth/verify-otp')
+      .send({ userId: 'user-1', otp: '123456', challengeToken: 'challenge-1' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.refreshToken).toMatch(/^session-1\./);
+    expect(prisma.user.updateMany).toHaveBeenCalledWith({
+      where: { id: 'user-1', updatedAt: challengedUser.updatedAt },
+      data: expect.objectContaining({ loginChallengeHash: null, loginChallengeExpiry: null, otpHash: null })
+    });
+  });
+
+  it.each([
+    ['a wrong', {}, 'challenge-2'],
+    ['an expired', { loginChallengeExpiry: new Date(Date.now() - 1000) }, 'challenge-1']
+  ])('refuses %s challenge token', async (label, changes, challengeToken) => {
+    prisma.user.findUnique.mockResolvedValue({ ...challengedUser, ...changes });
+    prisma.user.update.mockResolvedValue({ ...challengedUser, failedLoginAttempts: 1 });
+
+    const res = await request(app)
+      .post('/api/auth/verify-otp')
+      .send({ userId: 'user-1', otp: '123456', challengeToken });
+
+    expect(res.status).toBe(401);
+    expect(prisma.session.create).not.toHaveBeenCalled();
+    expect(prisma.user.update).toHaveBeenCalledWith({
+      where: { id: 'user-1' },
+      data: { failedLoginAttempts: { increment: 1 }, lastFailedLoginAt: expect.any(Date) }
+    });
+  });
+});
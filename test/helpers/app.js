@@ -0,0 +1,19 @@
+const express = require('express');
+const { errorHandler } = require('../../src/middleware/error.middleware');
+
+/**
+ * Build an app serving one router the way src/index.js mounts it, for
+ * requests through supertest
+ * @param {string} path - Mount path (e.g. '/api/auth')
+ * @param {Function} router - Express router or middleware
+ * @returns {Express} Express app
+ */
+const buildApp = (path, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  app.use(errorHandler);
+  return app;
+};
+
+module.exports = { buildApp };
@@ -0,0 +1,55 @@
+/**
+ * Stand-in for the Prisma client. Every `new PrismaClient()` in src gets the
+ * same object, whose model methods are jest mocks created on first use
+ * (e.g. prisma.user.findUnique), so tests set up results with
+ * mockResolvedValue and check the queries with toHaveBeenCalledWith.
+ * Interactive transactions run their callback against the same client.
+ */
+let models = new Map();
+
+const model = () => new Proxy({}, {
+  get: (operations, name) => {
+    if (!operations[name]) {
+      operations[name] = jest.fn().mockResolvedValue(undefined);
+    }
+    return operations[name];
+  }
+});
+
+const client = {};
+
+const prisma = new Proxy(client, {
+  get: (target, name) => {
+    if (name in target || typeof name === 'symbol' || name === 'then') {
+      return target[name];
+    }
+    if (!models.has(name)) {
+      models.set(name, model());
+    }
+    return models.get(name);
+  }
+});
+
+/**
+ * Forget every mocked result and recorded call. Run before each test.
+ */
+const resetPrisma = () => {
+  models = new Map();
+  client.$transaction = jest.fn((arg) => (typeof arg === 'function' ? arg(prisma) : Promise.all(arg)));
+  client.$queryRaw = jest.fn().mockResolvedValue([]);
+  client.$executeRaw = jest.fn().mockResolvedValue(0);
+};
+
+resetPrisma();
+
+/**
+ * Module factory for jest.mock('@prisma/client'): the real Prisma namespace
+ * (for Prisma.sql and error classes) with the stand-in client
+ * @returns {Object} @prisma/client exports
+ */
+const prismaModule = () => ({
+  ...jest.requireActual('@prisma/client'),
+  PrismaClient: jest.fn(() => prisma)
+});
+
+module.exports = { prisma, resetPrisma, prismaModule };
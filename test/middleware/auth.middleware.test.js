@@ -0,0 +1,131 @@
+const express = require('express');
+const request = require('supertest');
+const { prisma } = require('../helpers/prisma');
+const { buildApp } = require('../helpers/app');
+const { hashToken } = require('../../src/utils/auth/tokenHash');
+const { generateAccessToken } = require('../../src/utils/auth/sessionService');
+const { protect, authorize, blockImpersonation } = require('../../src/middleware/auth.middleware');
+
+const router = express.Router();
+router.get('/orders', authorize('orders:read'), (req, res) => res.json({ userId: req.user.id }));
+router.get('/profile', protect, (req, res) => res.json({ userId: req.user.id }));
+router.put('/settings', authorize('orders:read'), blockImpersonation, (req, res) => res.json({ ok: true }));
+
+const app = buildApp('/api', router);
+
+const KEY = 'ak_test-key';
+
+const apiKey = (changes = {}) => ({
+  id: 'key-1',
+  scopes: ['orders:read'],
+  revokedAt: null,
+  expiresAt: null,
+  lastUsedAt: null,
+  user: { id: 'user-1', role: 'SUPPORT' },
+  ...changes
+});
+
+describe('API keys', () => {
+  it('act as their owner on routes within their scopes', async () => {
+    prisma.apiKey.findUnique.mockResolvedValue(apiKey());
+
+    const res = await request(app).get('/api/orders').set('X-API-Key', KEY);
+
+    expect(res.status).toBe(200);
+    expect(res.body.userId).toBe('user-1');
+    expect(prisma.apiKey.findUnique).toHaveBeenCalledWith(expect.objectContaining({
+      where: { keyHash: hashToken(KEY) }
+    }));
+    expect(prisma.apiKey.update).toHaveBeenCalledWith({
+      where: { id: 'key-1' },
+      data: { lastUsedAt: expect.any(Date), lastUsedIp: expect.any(String) }
+    });
+  });
+
+  it('are refused outside their scopes', async () => {
+    prisma.apiKey.findUnique.mockResolvedValue(apiKey({ scopes: ['orders:update'] }));
+
+    const res = await request(app).get('/api/orders').set('X-API-Key', KEY);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Not authorized, requires orders:read');
+  });
+
+  it('get no more than their owner is allowed, whatever their scopes', async () => {
+    prisma.apiKey.findUnique.mockResolvedValue(apiKey({ user: { id: 'user-1', role: 'USER' } }));
+
+    const res = await request(app).get('/api/orders').set('X-API-Key', KEY);
+
+    expect(res.status).toBe(403);
+  });
+
+  it.each([
+    ['revoked', { revokedAt: new Date() }],
+    ['expired', { expiresAt: new Date(Date.now() - 1000) }]
+  ])('are refused once %s', async (label, changes) => {
+    prisma.apiKey.findUnique.mockResolvedValue(apiKey(changes));
+
+    const res = await request(app).get('/api/orders').set('X-API-Key', KEY);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Not authorized, invalid API key');
+  });
+
+  it('are refused without a lookup when they are not API keys at all', async () => {
+    const res = await request(app).get('/api/orders').set('X-API-Key', 'not-a-key');
+
+    expect(res.status).toBe(401);
+    expect(prisma.apiKey.findUnique).not.toHaveBeenCalled();
+  });
+
+  it('can not be used on routes for signed-in users', async () => {
+    const res = await request(app).get('/api/profile').set('X-API-Key', KEY);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('This route can not be used with an API key');
+    expect(prisma.apiKey.findUnique).not.toHaveBeenCalled();
+  });
+
+  it('can not be used for sensitive actions', async () => {
+    prisma.apiKey.findUnique.mockResolvedValue(apiKey());
+
+    const res = await request(app).put('/api/settings').set('X-API-Key', KEY);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('This action is not allowed with an API key');
+  });
+});
+
+describe('Bearer tokens', () => {
+  const token = generateAccessToken('user-1', 'session-1');
+
+  it('are accepted while their session is active', async () => {
+    prisma.session.findFirst.mockResolvedValue({ id: 'session-1', userId: 'user-1', lastUsedAt: new Date() });
+    prisma.user.findUnique.mockResolvedValue({ id: 'user-1', role: 'SUPPORT' });
+
+    const res = await request(app).get('/api/orders').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(prisma.session.findFirst).toHaveBeenCalledWith({
+      where: { id: 'session-1', revokedAt: null, expiresAt: { gt: expect.any(Date) } }
+    });
+  });
+
+  it('are refused once their session has been revoked', async () => {
+    prisma.session.findFirst.mockResolvedValue(null);
+
+    const res = await request(app).get('/api/profile').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Not authorized, session revoked');
+  });
+
+  it('still need the permission on the user\'s role', async () => {
+    prisma.session.findFirst.mockResolvedValue({ id: 'session-1', userId: 'user-1', lastUsedAt: new Date() });
+    prisma.user.findUnique.mockResolvedValue({ id: 'user-1', role: 'USER' });
+
+    const res = await request(app).get('/api/orders').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+  });
+});
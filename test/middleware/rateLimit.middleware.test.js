@@ -0,0 +1,47 @@
+const request = require('supertest');
+const { prisma } = require('../helpers/prisma');
+const { buildApp } = require('../helpers/app');
+const { hashToken } = require('../../src/utils/auth/tokenHash');
+const { apiLimiter } = require('../../src/middleware/rateLimit.middleware');
+
+const app = buildApp('/api', [apiLimiter, (req, res) => res.json({ ok: true })]);
+
+/**
+ * Make ak_key-1 and ak_key-2 valid keys, each allowed two requests a minute
+ */
+const mockKeys = () => {
+  prisma.apiKey.findUnique.mockImplementation(({ where }) => {
+    const id = ['key-1', 'key-2'].find((candidate) => where.keyHash === hashToken(`ak_${candidate}`));
+    return Promise.resolve(id ? { id, rateLimit: 2, scopes: [], user: { id: 'user-1', role: 'ADMIN' } } : null);
+  });
+};
+
+describe('apiLimiter', () => {
+  it('gives each valid API key its own budget', async () => {
+    mockKeys();
+
+    const first = await request(app).get('/api/items').set('X-API-Key', 'ak_key-1');
+    await request(app).get('/api/items').set('X-API-Key', 'ak_key-1');
+    const third = await request(app).get('/api/items').set('X-API-Key', 'ak_key-1');
+    const otherKey = await request(app).get('/api/items').set('X-API-Key', 'ak_key-2');
+
+    expect(first.status).toBe(200);
+    expect(first.headers['ratelimit-limit']).toBe('2');
+    expect(third.status).toBe(429);
+    expect(otherKey.status).toBe(200);
+  });
+
+  it('holds requests with a made-up API key to the IP limit', async () => {
+    mockKeys();
+
+    const madeUp = await request(app).get('/api/items').set('X-API-Key', 'ak_made-up');
+    const withoutKey = await request(app).get('/api/items');
+
+    expect(madeUp.headers['ratelimit-limit']).toBe('100');
+    expect(withoutKey.headers['ratelimit-limit']).toBe('100');
+
+    // Both count against the same per-IP budget
+    expect(Number(withoutKey.headers['ratelimit-remaining']))
+      .toBe(Number(madeUp.headers['ratelimit-remaining']) - 1);
+  });
+});
@@ -0,0 +1,21 @@
+// Runs before each test file. Secrets the auth modules need at load time,
+// and no key files, so tokens are signed with a throwaway key.
+process.env.OTP_HASH_SECRET = 'test-otp-secret';
+process.env.JWT_KEYS_DIR = `${__dirname}/no-keys`;
+process.env.CLIENT_URL = 'http://client.test';
+
+// No database: queries go to the stand-in client in helpers/prisma
+jest.mock('@prisma/client', () => require('./helpers/prisma').prismaModule());
+
+// Keep test output free of application logs (and out of logs/)
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  stream: { write: jest.fn() }
+}));
+
+beforeEach(() => {
+  require('./helpers/prisma').resetPrisma();
+});
@@ -0,0 +1,133 @@
+jest.mock('../../../src/utils/email/emailService');
+
+const { prisma } = require('../../helpers/prisma');
+const emailService = require('../../../src/utils/email/emailService');
+const { hashToken } = require('../../../src/utils/auth/tokenHash');
+const {
+  getLockState,
+  assertCanAttempt,
+  recordFailedLogin,
+  recordFailedOtp
+} = require('../../../src/utils/auth/loginGuard');
+
+const secondsFromNow = (seconds) => new Date(Date.now() + seconds * 1000);
+
+const mockRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  return res;
+};
+
+describe('getLockState', () => {
+  it('lets a user with no failures straight in', () => {
+    expect(getLockState({ failedLoginAttempts: 0 })).toEqual({ locked: false, retryAfter: 0 });
+  });
+
+  it('reports a lock until it runs out', () => {
+    expect(getLockState({ lockedUntil: secondsFromNow(60) })).toEqual({ locked: true, retryAfter: 60 });
+    expect(getLockState({ lockedUntil: secondsFromNow(-1), failedLoginAttempts: 0 }).locked).toBe(false);
+  });
+
+  it('doubles the delay for each failure after the free attempts', () => {
+    const now = new Date();
+
+    expect(getLockState({ failedLoginAttempts: 2, lastFailedLoginAt: now }).retryAfter).toBe(0);
+    expect(getLockState({ failedLoginAttempts: 3, lastFailedLoginAt: now }).retryAfter).toBe(2);
+    expect(getLockState({ failedLoginAttempts: 5, lastFailedLoginAt: now }).retryAfter).toBe(8);
+  });
+});
+
+describe('assertCanAttempt', () => {
+  it('refuses a locked account with 423 and Retry-After', () => {
+    const res = mockRes();
+
+    expect(() => assertCanAttempt({ lockedUntil: secondsFromNow(30) }, res)).toThrow(/temporarily locked/);
+    expect(res.status).toHaveBeenCalledWith(423);
+    expect(res.set).toHaveBeenCalledWith('Retry-After', '30');
+  });
+
+  it('refuses an account still cooling down with 429', () => {
+    const res = mockRes();
+
+    expect(() => assertCanAttempt({ failedLoginAttempts: 4, lastFailedLoginAt: new Date() }, res)).toThrow(/try again in 4 seconds/);
+    expect(res.status).toHaveBeenCalledWith(429);
+  });
+});
+
+describe('recordFailedLogin', () => {
+  const user = { id: 'user-1', email: 'jane@example.com' };
+
+  it('counts the failure without locking below the limit', async () => {
+    prisma.user.update.mockResolvedValue({ ...user, failedLoginAttempts: 3 });
+
+    await recordFailedLogin(user);
+
+    expect(prisma.user.update).toHaveBeenCalledTimes(1);
+    expect(prisma.user.update).toHaveBeenCalledWith({
+      where: { id: 'user-1' },
+      data: { failedLoginAttempts: { increment: 1 }, lastFailedLoginAt: expect.any(Date) }
+    });
+    expect(emailService.sendAccountLockedEmail).not.toHaveBeenCalled();
+  });
+
+  it('starts the count again once a lock has run out', async () => {
+    prisma.user.update.mockResolvedValue({ ...user, failedLoginAttempts: 1 });
+
+    await recordFailedLogin(user);
+
+    expect(prisma.user.updateMany).toHaveBeenCalledWith({
+      where: { id: 'user-1', lockedUntil: { lte: expect.any(Date) } },
+      data: { failedLoginAttempts: 0, lockedUntil: null, unlockTokenHash: null, unlockTokenExpiry: null }
+    });
+    expect(prisma.user.updateMany.mock.invocationCallOrder[0])
+      .toBeLessThan(prisma.user.update.mock.invocationCallOrder[0]);
+  });
+
+  it('locks the account at the limit and emails an unlock link that expires', async () => {
+    prisma.user.update.mockResolvedValueOnce({ ...user, failedLoginAttempts: 10 });
+
+    await recordFailedLogin(user);
+
+    const { data } = prisma.user.update.mock.calls[1][0];
+    expect(data.lockedUntil.getTime()).toBeGreaterThan(Date.now() + 29 * 60 * 1000);
+    expect(data.unlockTokenExpiry.getTime()).toBeGreaterThan(Date.now() + 23 * 60 * 60 * 1000);
+    expect(data).toMatchObject({ otpHash: null, otpExpiry: null });
+
+    // Only the hash is stored; the emailed token is the one it was made from
+    const [, unlockToken] = emailService.sendAccountLockedEmail.mock.calls[0];
+    expect(data.unlockTokenHash).toBe(hashToken(unlockToken));
+    expect(data.unlockTokenHash).not.toBe(unlockToken);
+  });
+
+  it('still locks the account when the email can not be sent', async () => {
+    prisma.user.update.mockResolvedValueOnce({ ...user, failedLoginAttempts: 10 });
+    emailService.sendAccountLockedEmail.mockRejectedValueOnce(new Error('SMTP down'));
+
+    await expect(recordFailedLogin(user)).resolves.toBeUndefined();
+    expect(prisma.user.update.mock.calls[1][0].data.lockedUntil).toEqual(expect.any(Date));
+  });
+});
+
+describe('recordFailedOtp', () => {
+  const user = { id: 'user-1' };
+
+  it('keeps the OTP while guesses remain', async () => {
+    prisma.user.update.mockResolvedValue({ ...user, otpAttempts: 2, failedLoginAttempts: 1 });
+
+    expect(await recordFailedOtp(user)).toBe(false);
+    expect(prisma.user.update).not.toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ otpHash: null })
+    }));
+  });
+
+  it('throws the OTP away after too many wrong guesses', async () => {
+    prisma.user.update.mockResolvedValue({ ...user, otpAttempts: 5, failedLoginAttempts: 1 });
+
+    expect(await recordFailedOtp(user)).toBe(true);
+    expect(prisma.user.update).toHaveBeenLastCalledWith({
+      where: { id: 'user-1' },
+      data: { otpHash: null, otpExpiry: null, otpAttempts: 0 }
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const { prisma } = require('../../helpers/prisma');
+const { hashToken } = require('../../../src/utils/auth/tokenHash');
+const { verifyToken } = require('../../../src/utils/auth/signingKeys');
+const { rotateSession } = require('../../../src/utils/auth/sessionService');
+
+const req = { ip: '203.0.113.7', get: () => 'jest' };
+
+const activeSession = (secret) => ({
+  id: 'session-1',
+  userId: 'user-1',
+  refreshTokenHash: hashToken(secret),
+  impersonatorId: null,
+  revokedAt: null,
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  ipAddress: null,
+  userAgent: null
+});
+
+const revokeCall = {
+  where: { id: 'session-1', revokedAt: null },
+  data: { revokedAt: expect.any(Date) }
+};
+
+describe('rotateSession', () => {
+  it('swaps the refresh token for a new pair', async () => {
+    prisma.session.findUnique.mockResolvedValue(activeSession('secret-1'));
+    prisma.session.updateMany.mockResolvedValue({ count: 1 });
+
+    const tokens = await rotateSession('session-1.secret-1', req);
+
+    expect(tokens.refreshToken).toMatch(/^session-1\./);
+    expect(tokens.refreshToken).not.toBe('session-1.secret-1');
+    expect(verifyToken(tokens.accessToken)).toMatchObject({ id: 'user-1', sid: 'session-1' });
+
+    // The swap only applies while the stored hash is still the presented one
+    const [next] = tokens.refreshToken.split('.').slice(1);
+    expect(prisma.session.updateMany).toHaveBeenCalledTimes(1);
+    expect(prisma.session.updateMany).toHaveBeenCalledWith({
+      where: { id: 'session-1', refreshTokenHash: hashToken('secret-1'), revokedAt: null },
+      data: expect.objectContaining({ refreshTokenHash: hashToken(next) })
+    });
+  });
+
+  it('revokes the session when an already used refresh token is presented', async () => {
+    // The stored hash has moved on to the token issued by the last rotation
+    prisma.session.findUnique.mockResolvedValue(activeSession('secret-2'));
+    prisma.session.updateMany.mockResolvedValue({ count: 1 });
+
+    const tokens = await rotateSession('session-1.secret-1', req);
+
+    expect(tokens).toBeNull();
+    expect(prisma.session.updateMany).toHaveBeenCalledTimes(1);
+    expect(prisma.session.updateMany).toHaveBeenCalledWith(revokeCall);
+  });
+
+  it('revokes the session when another request rotated the same token first', async () => {
+    prisma.session.findUnique.mockResolvedValue(activeSession('secret-1'));
+    prisma.session.updateMany
+      .mockResolvedValueOnce({ count: 0 })
+      .mockResolvedValueOnce({ count: 1 });
+
+    const tokens = await rotateSession('session-1.secret-1', req);
+
+    expect(tokens).toBeNull();
+    expect(prisma.session.updateMany).toHaveBeenCalledTimes(2);
+    expect(prisma.session.updateMany).toHaveBeenLastCalledWith(revokeCall);
+  });
+
+  it.each([
+    ['revoked', { revokedAt: new Date() }],
+    ['expired', { expiresAt: new Date(Date.now() - 1000) }],
+    ['impersonation', { impersonatorId: 'admin-1' }]
+  ])('refuses a token for a %s session', async (label, changes) => {
+    prisma.session.findUnique.mockResolvedValue({ ...activeSession('secret-1'), ...changes });
+
+    expect(await rotateSession('session-1.secret-1', req)).toBeNull();
+    expect(prisma.session.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('refuses a token that is not of the form <session>.<secret>', async () => {
+    expect(await rotateSession('not-a-token', req)).toBeNull();
+    expect(prisma.session.findUnique).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,198 @@
+const { prisma } = require('../helpers/prisma');
+const {
+  InsufficientStockError,
+  moveStock,
+  syncStockTotals,
+  writeOffVariantStock,
+  setTotalStock,
+  chooseFulfilmentLocations
+} = require('../../src/utils/inventory');
+
+const receipt = { locationId: 'loc-1', productId: 'product-1', quantity: 5, type: 'RECEIPT', createdById: 'admin-1' };
+
+/**
+ * Get the values and ON CONFLICT target of the stock level upsert
+ * @returns {{ values: Array, conflictTarget: string }} Inserted values and conflict target SQL
+ */
+const upsertCall = () => {
+  const [, id, locationId, productId, variantId, quantity, conflictTarget] = prisma.$executeRaw.mock.calls[0];
+  return { values: [id, locationId, productId, variantId, quantity], conflictTarget: conflictTarget.sql };
+};
+
+describe('moveStock', () => {
+  it('adds stock to the level in one upsert and records it in the ledger', async () => {
+    prisma.stockMovement.create.mockResolvedValue({ id: 'movement-1' });
+
+    expect(await moveStock(receipt)).toEqual({ id: 'movement-1' });
+
+    const { values, conflictTarget } = upsertCall();
+    expect(values).toEqual([expect.any(String), 'loc-1', 'product-1', null, 5]);
+    expect(conflictTarget).toBe('("locationId", "productId") WHERE "variantId" IS NULL');
+    expect(prisma.stockMovement.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ locationId: 'loc-1', productId: 'product-1', variantId: null, quantity: 5, type: 'RECEIPT' })
+    });
+  });
+
+  it('matches variant levels on the variant too', async () => {
+    await moveStock({ ...receipt, variantId: 'variant-1' });
+
+    expect(upsertCall().conflictTarget).toBe('("locationId", "productId", "variantId")');
+  });
+
+  it('only takes stock the location still holds', async () => {
+    prisma.stockLevel.updateMany.mockResolvedValue({ count: 1 });
+
+    await moveStock({ ...receipt, quantity: -3, type: 'SALE' });
+
+    expect(prisma.stockLevel.updateMany).toHaveBeenCalledWith({
+      where: { locationId: 'loc-1', productId: 'product-1', variantId: null, quantity: { gte: 3 } },
+      data: { quantity: { increment: -3 } }
+    });
+    expect(prisma.$executeRaw).not.toHaveBeenCalled();
+  });
+
+  it('refuses to take a location below zero, without recording a movement', async () => {
+    prisma.stockLevel.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(moveStock({ ...receipt, quantity: -3, type: 'SALE' })).rejects.toBeInstanceOf(InsufficientStockError);
+    expect(prisma.stockMovement.create).not.toHaveBeenCalled();
+  });
+
+  it('uses the client it is given, so it can run in a transaction', async () => {
+    const tx = {
+      $executeRaw: jest.fn().mockResolvedValue(1),
+      stockMovement: { create: jest.fn().mockResolvedValue({ id: 'movement-1' }) }
+    };
+
+    await moveStock(receipt, tx);
+
+    expect(tx.$executeRaw).toHaveBeenCalledTimes(1);
+    expect(tx.stockMovement.create).toHaveBeenCalledTimes(1);
+    expect(prisma.$executeRaw).not.toHaveBeenCalled();
+  });
+});
+
+describe('syncStockTotals', () => {
+  it('sets each variant and the product to the stock at active locations', async () => {
+    prisma.stockLevel.groupBy.mockResolvedValue([
+      { variantId: 'variant-1', _sum: { quantity: 4 } },
+      { variantId: 'variant-2', _sum: { quantity: 6 } }
+    ]);
+    prisma.productVariant.findMany.mockResolvedValue([{ id: 'variant-1' }, { id: 'variant-2' }, { id: 'variant-3' }]);
+
+    await syncStockTotals('product-1');
+
+    expect(prisma.stockLevel.groupBy).toHaveBeenCalledWith(expect.objectContaining({
+      where: { productId: 'product-1', location: { isActive: true } }
+    }));
+    expect(prisma.productVariant.update).toHaveBeenCalledWith({ where: { id: 'variant-3' }, data: { stock: 0 } });
+    expect(prisma.product.update).toHaveBeenCalledWith({ where: { id: 'product-1' }, data: { stock: 10 } });
+  });
+
+  it('uses the product level for products without variants', async () => {
+    prisma.stockLevel.groupBy.mockResolvedValue([{ variantId: null, _sum: { quantity: 7 } }]);
+    prisma.productVariant.findMany.mockResolvedValue([]);
+
+    await syncStockTotals('product-1');
+
+    expect(prisma.product.update).toHaveBeenCalledWith({ where: { id: 'product-1' }, data: { stock: 7 } });
+  });
+});
+
+describe('setTotalStock', () => {
+  beforeEach(() => {
+    prisma.stockLocation.findFirst.mockResolvedValue({ id: 'loc-default' });
+    prisma.stockLevel.groupBy.mockResolvedValue([]);
+    prisma.productVariant.findMany.mockResolvedValue([]);
+  });
+
+  it('books the difference as an adjustment at the default location', async () => {
+    prisma.stockLevel.aggregate.mockResolvedValue({ _sum: { quantity: 8 } });
+
+    await setTotalStock({ productId: 'product-1', quantity: 12, createdById: 'admin-1' });
+
+    expect(upsertCall().values).toEqual([expect.any(String), 'loc-default', 'product-1', null, 4]);
+    expect(prisma.stockMovement.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ quantity: 4, type: 'ADJUSTMENT', createdById: 'admin-1' })
+    });
+    expect(prisma.product.update).toHaveBeenCalled();
+  });
+
+  it('books nothing when the total is unchanged', async () => {
+    prisma.stockLevel.aggregate.mockResolvedValue({ _sum: { quantity: 8 } });
+
+    await setTotalStock({ productId: 'product-1', quantity: 8 });
+
+    expect(prisma.stockMovement.create).not.toHaveBeenCalled();
+    expect(prisma.product.update).toHaveBeenCalled();
+  });
+
+  it('explains a reduction the default location can not cover', async () => {
+    prisma.stockLevel.aggregate.mockResolvedValue({ _sum: { quantity: 8 } });
+    prisma.stockLevel.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(setTotalStock({ productId: 'product-1', quantity: 2 }))
+      .rejects.toThrow('Stock is held at other locations; adjust it through the inventory endpoints');
+    expect(prisma.product.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('writeOffVariantStock', () => {
+  it('books every level of the variant out before dropping them', async () => {
+    prisma.stockLevel.findMany.mockResolvedValue([
+      { locationId: 'loc-1', quantity: 3 },
+      { locationId: 'loc-2', quantity: 2 }
+    ]);
+    prisma.stockLevel.updateMany.mockResolvedValue({ count: 1 });
+
+    await writeOffVariantStock({ id: 'variant-1', productId: 'product-1' }, 'admin-1');
+
+    expect(prisma.stockMovement.create).toHaveBeenCalledTimes(2);
+    expect(prisma.stockMovement.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ locationId: 'loc-2', variantId: 'variant-1', quantity: -2, note: 'Variant removed' })
+    });
+    expect(prisma.stockLevel.deleteMany).toHaveBeenCalledWith({ where: { variantId: 'variant-1' } });
+  });
+});
+
+describe('chooseFulfilmentLocations', () => {
+  const location = (id, changes, levels) => ({
+    id,
+    priority: 0,
+    country: 'US',
+    state: null,
+    levels: levels.map(([productId, quantity]) => ({ productId, variantId: null, quantity })),
+    ...changes
+  });
+
+  const lines = [
+    { productId: 'product-1', variantId: null, quantity: 2 },
+    { productId: 'product-2', variantId: null, quantity: 1 }
+  ];
+
+  it('ships everything from the closest location that has it all', async () => {
+    prisma.stockLocation.findMany.mockResolvedValue([
+      location('east', { state: 'NY' }, [['product-1', 5], ['product-2', 5]]),
+      location('west', { state: 'CA' }, [['product-1', 5], ['product-2', 5]])
+    ]);
+
+    expect(await chooseFulfilmentLocations(lines, { country: 'US', state: 'CA' })).toEqual(['west', 'west']);
+  });
+
+  it('splits the order when no location has everything', async () => {
+    prisma.stockLocation.findMany.mockResolvedValue([
+      location('east', { priority: 1 }, [['product-1', 5]]),
+      location('west', { priority: 2 }, [['product-2', 5]])
+    ]);
+
+    expect(await chooseFulfilmentLocations(lines)).toEqual(['east', 'west']);
+  });
+
+  it('leaves a line without a location when none has enough', async () => {
+    prisma.stockLocation.findMany.mockResolvedValue([
+      location('east', {}, [['product-1', 1], ['product-2', 5]])
+    ]);
+
+    expect(await chooseFulfilmentLocations(lines)).toEqual([null, 'east']);
+  });
+});
@@ -0,0 +1,144 @@
+const { prisma } = require('../helpers/prisma');
+const { applyPriceSchedules, endPriceSchedule } = require('../../src/utils/productPricing');
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+const schedule = (changes = {}) => ({
+  id: 'schedule-1',
+  productId: 'product-1',
+  price: null,
+  discount: 20,
+  startsAt: hoursFromNow(-1),
+  endsAt: hoursFromNow(24),
+  appliedAt: null,
+  endedAt: null,
+  previousPrice: null,
+  previousDiscount: null,
+  createdById: 'admin-1',
+  ...changes
+});
+
+const product = { id: 'product-1', price: 50, discount: 0 };
+
+/**
+ * Return the given schedules as due to start and due to end
+ * @param {Object[]} due - Schedules to start
+ * @param {Object[]} [finished] - Schedules to end
+ */
+const mockSchedules = (due, finished = []) => {
+  prisma.productPriceSchedule.findMany
+    .mockResolvedValueOnce(due)
+    .mockResolvedValueOnce(finished);
+};
+
+describe('applyPriceSchedules', () => {
+  it('starts a due schedule, keeping the price it replaces', async () => {
+    mockSchedules([schedule()]);
+    prisma.productPriceSchedule.updateMany.mockResolvedValue({ count: 1 });
+    prisma.product.findUnique.mockResolvedValue(product);
+    prisma.product.update.mockResolvedValue({ ...product, discount: 20 });
+
+    expect(await applyPriceSchedules()).toEqual({ started: 1, ended: 0 });
+
+    expect(prisma.productPriceSchedule.updateMany).toHaveBeenCalledWith({
+      where: { id: 'schedule-1', appliedAt: null },
+      data: { appliedAt: expect.any(Date), endedAt: null }
+    });
+    expect(prisma.product.update).toHaveBeenCalledWith({
+      where: { id: 'product-1' },
+      data: { price: 50, discount: 20 }
+    });
+    expect(prisma.productPriceSchedule.update).toHaveBeenCalledWith({
+      where: { id: 'schedule-1' },
+      data: { previousPrice: 50, previousDiscount: 0 }
+    });
+    expect(prisma.productPriceHistory.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ productId: 'product-1', effectivePrice: 40, source: 'schedule' })
+    });
+  });
+
+  it('leaves a schedule another run has already claimed', async () => {
+    mockSchedules([schedule()]);
+    prisma.productPriceSchedule.updateMany.mockResolvedValue({ count: 0 });
+
+    expect(await applyPriceSchedules()).toEqual({ started: 0, ended: 0 });
+    expect(prisma.product.update).not.toHaveBeenCalled();
+    expect(prisma.productPriceHistory.create).not.toHaveBeenCalled();
+  });
+
+  it('skips a schedule that ended before it could start', async () => {
+    mockSchedules([schedule({ startsAt: hoursFromNow(-3), endsAt: hoursFromNow(-2) })]);
+    prisma.productPriceSchedule.updateMany.mockResolvedValue({ count: 1 });
+
+    expect(await applyPriceSchedules()).toEqual({ started: 0, ended: 0 });
+    expect(prisma.productPriceSchedule.updateMany).toHaveBeenCalledWith({
+      where: { id: 'schedule-1', appliedAt: null },
+      data: { appliedAt: expect.any(Date), endedAt: expect.any(Date) }
+    });
+    expect(prisma.product.update).not.toHaveBeenCalled();
+  });
+
+  it('carries on with the other schedules when one fails', async () => {
+    mockSchedules([schedule({ id: 'schedule-1' }), schedule({ id: 'schedule-2' })]);
+    prisma.productPriceSchedule.updateMany.mockResolvedValue({ count: 1 });
+    prisma.product.findUnique
+      .mockRejectedValueOnce(new Error('connection lost'))
+      .mockResolvedValueOnce(product);
+    prisma.product.update.mockResolvedValue({ ...product, discount: 20 });
+
+    expect(await applyPriceSchedules()).toEqual({ started: 1, ended: 0 });
+  });
+
+  it('ends schedules that have run their course', async () => {
+    const running = schedule({ appliedAt: hoursFromNow(-2), endsAt: hoursFromNow(-1), previousPrice: 50, previousDiscount: 0 });
+    mockSchedules([], [running]);
+    prisma.productPriceSchedule.updateMany.mockResolvedValue({ count: 1 });
+    prisma.product.findUnique.mockResolvedValue({ ...product, discount: 20 });
+    prisma.product.update.mockResolvedValue(product);
+
+    expect(await applyPriceSchedules()).toEqual({ started: 0, ended: 1 });
+  });
+});
+
+describe('endPriceSchedule', () => {
+  const running = schedule({ price: 45, appliedAt: hoursFromNow(-2), previousPrice: 50, previousDiscount: 0 });
+
+  it('claims the schedule and restores the price and discount it replaced', async () => {
+    prisma.productPriceSchedule.updateMany.mockResolvedValue({ count: 1 });
+    prisma.product.findUnique.mockResolvedValue({ ...product, price: 45, discount: 20 });
+    prisma.product.update.mockResolvedValue(product);
+
+    expect(await endPriceSchedule(running)).toBe(true);
+
+    expect(prisma.productPriceSchedule.updateMany).toHaveBeenCalledWith({
+      where: { id: 'schedule-1', appliedAt: { not: null }, endedAt: null },
+      data: { endedAt: expect.any(Date) }
+    });
+    expect(prisma.product.update).toHaveBeenCalledWith({
+      where: { id: 'product-1' },
+      data: { price: 50, discount: 0 }
+    });
+    expect(prisma.productPriceHistory.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps a price changed by hand while the schedule ran', async () => {
+    prisma.productPriceSchedule.updateMany.mockResolvedValue({ count: 1 });
+    prisma.product.findUnique.mockResolvedValue({ ...product, price: 42, discount: 20 });
+    prisma.product.update.mockResolvedValue({ ...product, price: 42 });
+
+    await endPriceSchedule(running);
+
+    expect(prisma.product.update).toHaveBeenCalledWith({
+      where: { id: 'product-1' },
+      data: { discount: 0 }
+    });
+  });
+
+  it('restores nothing when another run has already ended it', async () => {
+    prisma.productPriceSchedule.updateMany.mockResolvedValue({ count: 0 });
+
+    expect(await endPriceSchedule(running)).toBe(false);
+    expect(prisma.product.findUnique).not.toHaveBeenCalled();
+    expect(prisma.product.update).not.toHaveBeenCalled();
+  });
+});